@@ -0,0 +1,474 @@
+/**
+ * agglomerative.js
+ * Hierarchical Agglomerative Clustering
+ * Starts with every point as its own cluster and merges the closest pair, one step at a time
+ */
+
+const Agglomerative = {
+    // Data
+    points: [],
+    
+    // Parameters
+    linkage: 'ward',         // single | complete | average | ward
+    cutHeight: null,         // Dendrogram cut; null = color by the clusters formed so far
+    
+    // Algorithm state
+    clusters: [],            // Active clusters [{id, members}], leaves have id = point index
+    merges: [],              // [{a, b, id, height, size}] in merge order, new id = n + merge index
+    currentStep: 0,
+    isDone: false,
+    maxPoints: 400,          // Planning scans all cluster pairs per merge: O(n³)
+    
+    // Dendrogram layout, from the full merge plan for the current data
+    plan: [],                // Every merge in order, as computed by planMerges
+    leafOrder: [],
+    maxHeight: 0,
+    
+    // Timeline: fields that make up a step's state
+    stateKeys: ['clusters', 'merges', 'currentStep', 'isDone'],
+    tweenKeys: [],
+
+    /**
+     * Algorithm explanation
+     */
+    explanation: {
+        title: "Hierarchical Clustering",
+        description: `
+            <p>Agglomerative clustering builds a <strong>hierarchy</strong> of clusters from the bottom up. No K needed up front.</p>
+            
+            <h4>📊 How It Works</h4>
+            <ul>
+                <li><strong>Step 1:</strong> Every point starts as its own cluster</li>
+                <li><strong>Step 2:</strong> Find the two closest clusters and merge them</li>
+                <li><strong>Step 3:</strong> Repeat until only one cluster is left</li>
+            </ul>
+            
+            <h4>🔗 Linkage: How Far Apart Are Two Clusters?</h4>
+            <ul>
+                <li><strong>Single:</strong> the closest pair of points. Follows long chains, so it can trace moons and rings, but one stray point can bridge two clusters.</li>
+                <li><strong>Complete:</strong> the farthest pair of points. Gives compact clusters of similar diameter.</li>
+                <li><strong>Average:</strong> the mean distance over all pairs. A compromise between the two.</li>
+                <li><strong>Ward:</strong> how much merging would increase the total within-cluster variance. Like K-Means, it prefers round clusters of similar size.</li>
+            </ul>
+            <div class="formula-box">
+                Ward: d(A, B) = √(2·|A|·|B| / (|A| + |B|)) · ‖μ_A - μ_B‖
+            </div>
+            
+            <h4>🌳 The Dendrogram</h4>
+            <p>Each merge is drawn as a ∏ joining its two clusters at the height of their distance. The tree grows as you step.</p>
+            <p><strong>Click the dendrogram</strong> to cut it at that height: every merge below the cut is kept, and the branches it crosses become the flat clusters shown on the canvas. A cut just under a tall gap gives the most natural clusters.</p>
+        `
+    },
+
+    /**
+     * Parameters for UI
+     */
+    parameters: [
+        {
+            id: 'linkage',
+            name: 'Linkage',
+            type: 'select',
+            default: 'ward',
+            options: [
+                { value: 'single', label: 'Single (closest points)' },
+                { value: 'complete', label: 'Complete (farthest points)' },
+                { value: 'average', label: 'Average (all pairs)' },
+                { value: 'ward', label: 'Ward (variance increase)' }
+            ],
+            description: 'How the distance between two clusters is measured'
+        }
+    ],
+
+    /**
+     * Initialize algorithm
+     * @param {Array} points - Data points
+     */
+    init: function(points) {
+        this.points = points.map(p => ({ x: p.x, y: p.y }));
+        this.cutHeight = null;
+        this.reset();
+        
+        console.log('🌲 Agglomerative clustering initialized with', points.length, 'points');
+    },
+
+    /**
+     * Work out the whole merge sequence for the current linkage. Cluster distances live
+     * in a matrix updated with the Lance–Williams formula after each merge, so no
+     * distance is recomputed from the points:
+     * • single:   D(k, i∪j) = min(D(k,i), D(k,j))
+     * • complete: D(k, i∪j) = max(D(k,i), D(k,j))
+     * • average:  D(k, i∪j) = (nᵢ·D(k,i) + nⱼ·D(k,j)) / (nᵢ + nⱼ)
+     * • ward:     on squared distances, D(k, i∪j) = ((nᵢ+nₖ)·D(k,i) + (nⱼ+nₖ)·D(k,j) - nₖ·D(i,j)) / (nᵢ+nⱼ+nₖ),
+     *             which keeps D(A, B) = 2·|A|·|B| / (|A| + |B|) · ‖μ_A - μ_B‖²; the merge height is √D
+     * @returns {Array} Merge records [{a, b, id, height, size}]
+     */
+    planMerges: function() {
+        const n = this.points.length;
+        const ward = this.linkage === 'ward';
+        
+        // Distances by slot; a merged cluster takes over the slot of its first part
+        const D = new Float64Array(n * n);
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const d2 = Math.pow(this.points[i].x - this.points[j].x, 2) + Math.pow(this.points[i].y - this.points[j].y, 2);
+                D[i * n + j] = D[j * n + i] = ward ? d2 : Math.sqrt(d2);
+            }
+        }
+        
+        // Active clusters in the same order as this.clusters: merged ones go to the end
+        let active = this.points.map((_, i) => ({ id: i, slot: i, size: 1 }));
+        const plan = [];
+        
+        while (active.length > 1) {
+            let best = { i: -1, j: -1, distance: Infinity };
+            for (let i = 0; i < active.length; i++) {
+                const row = active[i].slot * n;
+                for (let j = i + 1; j < active.length; j++) {
+                    const distance = D[row + active[j].slot];
+                    if (distance < best.distance) {
+                        best = { i, j, distance };
+                    }
+                }
+            }
+            
+            const a = active[best.i];
+            const b = active[best.j];
+            const dab = best.distance;
+            active = active.filter((_, index) => index !== best.i && index !== best.j);
+            
+            active.forEach(k => {
+                const dka = D[k.slot * n + a.slot];
+                const dkb = D[k.slot * n + b.slot];
+                let d;
+                switch(this.linkage) {
+                    case 'single':
+                        d = Math.min(dka, dkb);
+                        break;
+                    case 'complete':
+                        d = Math.max(dka, dkb);
+                        break;
+                    case 'ward':
+                        d = ((a.size + k.size) * dka + (b.size + k.size) * dkb - k.size * dab) / (a.size + b.size + k.size);
+                        break;
+                    default:
+                        d = (a.size * dka + b.size * dkb) / (a.size + b.size);
+                }
+                D[k.slot * n + a.slot] = D[a.slot * n + k.slot] = d;
+            });
+            
+            const merged = { id: n + plan.length, slot: a.slot, size: a.size + b.size };
+            active.push(merged);
+            plan.push({
+                a: a.id,
+                b: b.id,
+                id: merged.id,
+                height: ward ? Math.sqrt(Math.max(0, dab)) : dab,
+                size: merged.size
+            });
+        }
+        
+        return plan;
+    },
+
+    /**
+     * Apply the next merge of the plan
+     * @returns {object} The merge record
+     */
+    mergeClosest: function() {
+        const merge = this.plan[this.merges.length];
+        const a = this.clusters.find(c => c.id === merge.a);
+        const b = this.clusters.find(c => c.id === merge.b);
+        
+        this.clusters = this.clusters.filter(c => c !== a && c !== b);
+        this.clusters.push({ id: merge.id, members: a.members.concat(b.members) });
+        this.merges.push(merge);
+        this.isDone = this.clusters.length <= 1;
+        
+        return merge;
+    },
+
+    /**
+     * Lay out the dendrogram from the merge plan, so leaves keep their place
+     * while the tree grows step by step
+     */
+    computeLayout: function() {
+        const n = this.points.length;
+        this.plan = this.planMerges();
+        
+        const order = (id) => id < n
+            ? [id]
+            : order(this.plan[id - n].a).concat(order(this.plan[id - n].b));
+        
+        this.leafOrder = n > 0 ? order(n > 1 ? 2 * n - 2 : 0) : [];
+        this.maxHeight = this.plan.reduce((max, m) => Math.max(max, m.height), 0);
+    },
+
+    /**
+     * Flat cluster of every point: apply the merges done so far that lie below the cut
+     * @returns {Array} Cluster index per point, -1 for points that are still on their own
+     */
+    flatLabels: function() {
+        const n = this.points.length;
+        const parent = [];
+        for (let i = 0; i < n + this.merges.length; i++) parent.push(i);
+        
+        const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+        this.merges.forEach(merge => {
+            if (this.cutHeight === null || merge.height <= this.cutHeight) {
+                parent[find(merge.a)] = merge.id;
+                parent[find(merge.b)] = merge.id;
+            }
+        });
+        
+        // Number clusters in dendrogram order so colors stay put while stepping
+        const roots = new Map();
+        const sizes = new Map();
+        for (let i = 0; i < n; i++) {
+            sizes.set(find(i), (sizes.get(find(i)) || 0) + 1);
+        }
+        const labels = new Array(n).fill(-1);
+        this.leafOrder.forEach(i => {
+            const root = find(i);
+            if (sizes.get(root) < 2) return;
+            if (!roots.has(root)) roots.set(root, roots.size);
+            labels[i] = roots.get(root);
+        });
+        
+        return labels;
+    },
+
+    /**
+     * Number of flat clusters at the cut, singletons included
+     */
+    clustersAtCut: function() {
+        return this.points.length - this.merges.filter(m =>
+            this.cutHeight === null || m.height <= this.cutHeight).length;
+    },
+
+    /**
+     * Run complete algorithm
+     */
+    run: function() {
+        while (!this.isDone) {
+            this.mergeClosest();
+            this.currentStep++;
+        }
+        
+        return {
+            merges: this.merges.length,
+            height: this.maxHeight
+        };
+    },
+
+    /**
+     * Execute single step: merge the closest pair of clusters
+     */
+    step: function() {
+        if (this.isDone) {
+            return this.summary();
+        }
+        
+        const merge = this.mergeClosest();
+        this.currentStep++;
+        
+        const sizeOf = (id) => id < this.points.length ? 1 : this.merges[id - this.points.length].size;
+        const nameOf = (id) => id < this.points.length ? `point #${id + 1}` : `a cluster of ${sizeOf(id)}`;
+        const measures = {
+            single: 'closest pair of points',
+            complete: 'farthest pair of points',
+            average: 'mean distance over all pairs',
+            ward: 'increase in within-cluster variance'
+        };
+        
+        return {
+            step: this.currentStep,
+            title: `Merge ${this.merges.length}: ${merge.size} Points`,
+            description: `Joined ${nameOf(merge.a)} with ${nameOf(merge.b)}.\n• ${this.linkage[0].toUpperCase() + this.linkage.slice(1)} linkage distance: ${merge.height.toFixed(1)} (${measures[this.linkage]})\n• ${this.clusters.length} cluster(s) left`,
+            highlight: this.isDone ? 'complete' : 'merge'
+        };
+    },
+
+    /**
+     * Final step information
+     */
+    summary: function() {
+        return {
+            step: 'Done',
+            title: "One Cluster Left",
+            description: `All ${this.points.length} points merged in ${this.merges.length} steps.\nClick the dendrogram to cut it into flat clusters.`,
+            highlight: 'complete'
+        };
+    },
+
+    /**
+     * Visualize current state
+     * @param {object} viz - Visualization object
+     */
+    visualize: function(viz) {
+        viz.clear();
+        viz.drawGrid();
+        
+        const colors = viz.colors.cluster;
+        const labels = this.flatLabels();
+        
+        // Outline every flat cluster with its convex hull
+        const groups = new Map();
+        labels.forEach((label, i) => {
+            if (label < 0) return;
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(this.points[i]);
+        });
+        groups.forEach((members, label) => {
+            viz.drawPolygon(this.convexHull(members), colors[label % colors.length], 0.12);
+        });
+        
+        // The pair joined by the last merge
+        const last = this.merges[this.merges.length - 1];
+        if (last) {
+            const hull = this.convexHull(this.membersOf(last.id).map(i => this.points[i]));
+            viz.drawPolygon(hull, viz.colors.highlight, 0, true);
+        }
+        
+        this.points.forEach((point, i) => {
+            const color = labels[i] >= 0 ? colors[labels[i] % colors.length] : viz.colors.point;
+            viz.drawPoint(point.x, point.y, color, 7);
+        });
+        
+        const text = this.cutHeight === null
+            ? `Clusters: ${this.clusters.length}`
+            : `Cut at ${this.cutHeight.toFixed(1)}: ${this.clustersAtCut()} clusters`;
+        viz.drawText(text, 10, 20, '#1e293b', 'bold 14px Poppins');
+    },
+
+    /**
+     * Points under a dendrogram node
+     * @param {number} id - Cluster id
+     */
+    membersOf: function(id) {
+        const n = this.points.length;
+        if (id < n) return [id];
+        const merge = this.merges[id - n];
+        return this.membersOf(merge.a).concat(this.membersOf(merge.b));
+    },
+
+    /**
+     * Convex hull of a set of points (monotone chain)
+     * @param {Array} points - {x, y} points
+     * @returns {Array} Hull vertices in order
+     */
+    convexHull: function(points) {
+        const sorted = [...points].sort((p, q) => p.x - q.x || p.y - q.y);
+        if (sorted.length < 3) return sorted;
+        
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const half = (list) => {
+            const hull = [];
+            list.forEach(p => {
+                while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) {
+                    hull.pop();
+                }
+                hull.push(p);
+            });
+            hull.pop();
+            return hull;
+        };
+        
+        return half(sorted).concat(half(sorted.reverse()));
+    },
+
+    /**
+     * Draw auxiliary charts: the dendrogram, clickable to set the cut height
+     * @param {object} charts - Charts object
+     */
+    drawCharts: function(charts) {
+        const n = this.points.length;
+        if (n < 2) return;
+        
+        const chart = charts.panel('agglomerative-dendrogram', 'Dendrogram (click to cut)', 480, 260);
+        charts.setRange(chart, -0.5, n - 0.5, 0, this.maxHeight * 1.05 || 1);
+        charts.drawAxes(chart, 'points', `${this.linkage} linkage distance`);
+        
+        // Leaves sit in dendrogram order, each merge halfway between its children
+        const position = new Array(n + this.merges.length);
+        const height = new Array(n + this.merges.length).fill(0);
+        this.leafOrder.forEach((leaf, i) => {
+            position[leaf] = i;
+        });
+        this.merges.forEach(merge => {
+            position[merge.id] = (position[merge.a] + position[merge.b]) / 2;
+            height[merge.id] = merge.height;
+        });
+        
+        // Branches below the cut take the color of their flat cluster
+        const labels = this.flatLabels();
+        const colors = Visualization.colors.cluster;
+        const last = this.merges[this.merges.length - 1];
+        
+        this.merges.forEach(merge => {
+            let color = '#94a3b8';
+            if (this.cutHeight === null || merge.height <= this.cutHeight) {
+                const label = labels[this.membersOf(merge.id)[0]];
+                if (label >= 0) color = colors[label % colors.length];
+            }
+            
+            const left = { x: position[merge.a], y: height[merge.a] };
+            const right = { x: position[merge.b], y: height[merge.b] };
+            charts.drawLine(chart, [
+                left,
+                { x: left.x, y: merge.height },
+                { x: right.x, y: merge.height },
+                right
+            ], merge === last ? Visualization.colors.highlight : color, merge === last ? 3 : 1.5);
+        });
+        
+        charts.drawDots(chart, this.leafOrder.map((_, i) => ({ x: i, y: 0 })), Visualization.colors.point, 2);
+        
+        if (this.cutHeight !== null) {
+            charts.drawLine(chart, [{ x: -0.5, y: this.cutHeight }, { x: n - 0.5, y: this.cutHeight }], '#ef4444', 1.5, true);
+            charts.drawText(chart, `cut = ${this.cutHeight.toFixed(1)} → ${this.clustersAtCut()} clusters`,
+                            charts.plotArea(chart).left + 6, 22, '#ef4444');
+        }
+        
+        chart.onClick = (point) => {
+            setParameter('cut-height', Math.max(0, point.y));
+        };
+    },
+
+    /**
+     * Get statistics
+     */
+    getStats: function() {
+        const last = this.merges[this.merges.length - 1];
+        const stats = {
+            'Points': this.points.length,
+            'Linkage': this.linkage[0].toUpperCase() + this.linkage.slice(1),
+            'Merges': `${this.merges.length}/${Math.max(0, this.points.length - 1)}`,
+            'Clusters Left': this.clusters.length,
+            'Last Merge Height': last ? last.height.toFixed(2) : '-'
+        };
+        
+        if (this.cutHeight !== null) {
+            stats['Cut Height'] = this.cutHeight.toFixed(2);
+            stats['Clusters at Cut'] = this.clustersAtCut();
+        }
+        
+        return stats;
+    },
+
+    /**
+     * Reset algorithm
+     */
+    reset: function() {
+        this.computeLayout();
+        
+        this.clusters = this.points.map((_, i) => ({ id: i, members: [i] }));
+        this.merges = [];
+        this.currentStep = 0;
+        this.isDone = this.clusters.length <= 1;
+    }
+};
+
+// Make globally available
+window.Agglomerative = Agglomerative;
+
+console.log('🌲 Agglomerative module loaded');
\ No newline at end of file
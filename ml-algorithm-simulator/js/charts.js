@@ -0,0 +1,487 @@
+/**
+ * charts.js
+ * Small auxiliary charts shown underneath the main canvas
+ * Algorithms draw into them from an optional drawCharts(charts) method
+ */
+
+const Charts = {
+    container: null,
+    panels: {},
+    requested: null,
+    
+    // Colors shared by all charts
+    colors: {
+        axis: '#94a3b8',
+        grid: '#f1f5f9',
+        text: '#64748b',
+        background: '#ffffff'
+    },
+    
+    // Space around the plot area for axes and labels
+    margin: { left: 48, right: 12, top: 10, bottom: 32 },
+
+    /**
+     * Initialize the charts area
+     * @param {string} containerId - Element that holds the chart panels
+     */
+    init: function(containerId) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            console.error('Charts container not found:', containerId);
+            return;
+        }
+        this.panels = {};
+        
+        console.log('📉 Charts initialized');
+    },
+
+    /**
+     * Start a new frame. Panels not requested before end() are removed.
+     */
+    begin: function() {
+        this.requested = new Set();
+    },
+
+    /**
+     * Finish a frame: drop unused panels and hide the area when empty
+     */
+    end: function() {
+        for (const id of Object.keys(this.panels)) {
+            if (!this.requested.has(id)) {
+                this.panels[id].element.remove();
+                delete this.panels[id];
+            }
+        }
+        
+        this.container.classList.toggle('hidden', Object.keys(this.panels).length === 0);
+        this.requested = null;
+    },
+
+    /**
+     * Get (or create) a chart panel with a canvas
+     * @param {string} id - Unique panel ID
+     * @param {string} title - Panel heading
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {object} Chart with canvas, ctx, size and data range
+     */
+    panel: function(id, title, width = 320, height = 240) {
+        if (this.requested) this.requested.add(id);
+        
+        let chart = this.panels[id];
+        if (!chart) {
+            const element = document.createElement('div');
+            element.className = 'chart-panel';
+            element.innerHTML = `<h4></h4><canvas width="${width}" height="${height}"></canvas>`;
+            this.container.appendChild(element);
+            
+            chart = {
+                id: id,
+                element: element,
+                canvas: element.querySelector('canvas'),
+                ctx: null,
+                width: width,
+                height: height,
+                range: { xMin: 0, xMax: 1, yMin: 0, yMax: 1 },
+                onClick: null,
+                onHover: null
+            };
+            chart.ctx = chart.canvas.getContext('2d');
+            
+            // Report clicks in data coordinates
+            chart.canvas.addEventListener('click', (e) => {
+                if (!chart.onClick) return;
+                const rect = chart.canvas.getBoundingClientRect();
+                const point = this.fromCanvas(chart, e.clientX - rect.left, e.clientY - rect.top);
+                chart.onClick(point, e);
+            });
+            
+            // Report the mouse position while hovering, and null when it leaves
+            chart.canvas.addEventListener('mousemove', (e) => {
+                if (!chart.onHover) return;
+                const rect = chart.canvas.getBoundingClientRect();
+                chart.onHover(this.fromCanvas(chart, e.clientX - rect.left, e.clientY - rect.top), e);
+            });
+            chart.canvas.addEventListener('mouseleave', (e) => {
+                if (chart.onHover) chart.onHover(null, e);
+            });
+            
+            this.panels[id] = chart;
+        }
+        
+        // Panels sized to their content can change size between frames
+        if (chart.width !== width || chart.height !== height) {
+            chart.canvas.width = chart.width = width;
+            chart.canvas.height = chart.height = height;
+        }
+        
+        chart.element.querySelector('h4').textContent = title;
+        chart.onClick = null;
+        chart.onHover = null;
+        chart.ctx.clearRect(0, 0, chart.width, chart.height);
+        
+        return chart;
+    },
+
+    /**
+     * Get (or create) a chart panel holding HTML instead of a canvas
+     * @param {string} id - Unique panel ID
+     * @param {string} title - Panel heading
+     * @returns {HTMLElement} Body element to fill
+     */
+    htmlPanel: function(id, title) {
+        if (this.requested) this.requested.add(id);
+        
+        let panel = this.panels[id];
+        if (!panel) {
+            const element = document.createElement('div');
+            element.className = 'chart-panel';
+            element.innerHTML = '<h4></h4><div class="chart-body"></div>';
+            this.container.appendChild(element);
+            
+            panel = {
+                id: id,
+                element: element,
+                body: element.querySelector('.chart-body')
+            };
+            this.panels[id] = panel;
+        }
+        
+        panel.element.querySelector('h4').textContent = title;
+        return panel.body;
+    },
+
+    /**
+     * Set the data range shown in a chart
+     */
+    setRange: function(chart, xMin, xMax, yMin, yMax) {
+        chart.range = {
+            xMin: xMin,
+            xMax: xMax > xMin ? xMax : xMin + 1,
+            yMin: yMin,
+            yMax: yMax > yMin ? yMax : yMin + 1
+        };
+    },
+
+    /**
+     * Plot area in canvas pixels
+     * @returns {object} {left, top, width, height}
+     */
+    plotArea: function(chart) {
+        return {
+            left: this.margin.left,
+            top: this.margin.top,
+            width: chart.width - this.margin.left - this.margin.right,
+            height: chart.height - this.margin.top - this.margin.bottom
+        };
+    },
+
+    /**
+     * Convert data coordinates to canvas pixels
+     */
+    toCanvas: function(chart, x, y) {
+        const area = this.plotArea(chart);
+        const { xMin, xMax, yMin, yMax } = chart.range;
+        return {
+            x: area.left + (x - xMin) / (xMax - xMin) * area.width,
+            y: area.top + (1 - (y - yMin) / (yMax - yMin)) * area.height
+        };
+    },
+
+    /**
+     * Convert canvas pixels to data coordinates
+     */
+    fromCanvas: function(chart, px, py) {
+        const area = this.plotArea(chart);
+        const { xMin, xMax, yMin, yMax } = chart.range;
+        return {
+            x: xMin + (px - area.left) / area.width * (xMax - xMin),
+            y: yMin + (1 - (py - area.top) / area.height) * (yMax - yMin)
+        };
+    },
+
+    /**
+     * Format a tick value compactly
+     */
+    formatTick: function(value) {
+        const abs = Math.abs(value);
+        if (abs >= 1000) return value.toFixed(0);
+        if (abs >= 10) return value.toFixed(1);
+        if (abs >= 0.1 || value === 0) return value.toFixed(2);
+        return value.toExponential(0);
+    },
+
+    /**
+     * Draw axes with min/max ticks and labels
+     * @param {object} chart - Chart
+     * @param {string} xLabel - X axis label
+     * @param {string} yLabel - Y axis label
+     */
+    drawAxes: function(chart, xLabel = '', yLabel = '') {
+        const ctx = chart.ctx;
+        const area = this.plotArea(chart);
+        const { xMin, xMax, yMin, yMax } = chart.range;
+        
+        ctx.strokeStyle = this.colors.axis;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([]);
+        ctx.strokeRect(area.left, area.top, area.width, area.height);
+        
+        ctx.fillStyle = this.colors.text;
+        ctx.font = '10px Poppins';
+        
+        // X ticks
+        ctx.textAlign = 'left';
+        ctx.fillText(this.formatTick(xMin), area.left, area.top + area.height + 12);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatTick(xMax), area.left + area.width, area.top + area.height + 12);
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel, area.left + area.width / 2, area.top + area.height + 26);
+        
+        // Y ticks
+        ctx.textAlign = 'right';
+        ctx.fillText(this.formatTick(yMax), area.left - 4, area.top + 8);
+        ctx.fillText(this.formatTick(yMin), area.left - 4, area.top + area.height);
+        
+        ctx.save();
+        ctx.translate(12, area.top + area.height / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+        
+        ctx.textAlign = 'left';
+    },
+
+    /**
+     * Restrict drawing to the plot area while fn runs
+     */
+    clipped: function(chart, fn) {
+        const ctx = chart.ctx;
+        const area = this.plotArea(chart);
+        
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, area.top, area.width, area.height);
+        ctx.clip();
+        fn();
+        ctx.restore();
+    },
+
+    /**
+     * Draw a polyline through data points
+     * @param {object} chart - Chart
+     * @param {Array} points - Array of {x, y} in data coordinates
+     * @param {string} color - Line color
+     * @param {number} width - Line width
+     * @param {boolean} dashed - Dashed line
+     */
+    drawLine: function(chart, points, color, width = 2, dashed = false) {
+        if (points.length < 2) return;
+        const ctx = chart.ctx;
+        
+        this.clipped(chart, () => {
+            ctx.beginPath();
+            ctx.strokeStyle = color;
+            ctx.lineWidth = width;
+            ctx.setLineDash(dashed ? [4, 4] : []);
+            
+            points.forEach((point, i) => {
+                const p = this.toCanvas(chart, point.x, point.y);
+                if (i === 0) ctx.moveTo(p.x, p.y);
+                else ctx.lineTo(p.x, p.y);
+            });
+            
+            ctx.stroke();
+            ctx.setLineDash([]);
+        });
+    },
+
+    /**
+     * Draw dots at data points
+     * @param {object} chart - Chart
+     * @param {Array} points - Array of {x, y} in data coordinates
+     * @param {string} color - Dot color
+     * @param {number} radius - Dot radius
+     */
+    drawDots: function(chart, points, color, radius = 3) {
+        const ctx = chart.ctx;
+        
+        this.clipped(chart, () => {
+            ctx.fillStyle = color;
+            points.forEach(point => {
+                const p = this.toCanvas(chart, point.x, point.y);
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        });
+    },
+
+    /**
+     * Draw vertical bars (e.g. a histogram)
+     * @param {object} chart - Chart
+     * @param {Array} bars - Array of {x0, x1, y} in data coordinates, rising from y = 0
+     * @param {string} color - Bar color
+     */
+    drawBars: function(chart, bars, color) {
+        const ctx = chart.ctx;
+        
+        this.clipped(chart, () => {
+            ctx.fillStyle = color;
+            ctx.strokeStyle = this.colors.background;
+            ctx.lineWidth = 1;
+            bars.forEach(bar => {
+                const topLeft = this.toCanvas(chart, bar.x0, bar.y);
+                const bottomRight = this.toCanvas(chart, bar.x1, 0);
+                ctx.fillRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+                ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+            });
+        });
+    },
+
+    /**
+     * Draw horizontal bars (e.g. a silhouette plot)
+     * @param {object} chart - Chart
+     * @param {Array} bars - Array of {y0, y1, x, color} in data coordinates, growing from x = 0
+     * @param {string} color - Default bar color
+     */
+    drawHorizontalBars: function(chart, bars, color) {
+        const ctx = chart.ctx;
+        
+        this.clipped(chart, () => {
+            bars.forEach(bar => {
+                const start = this.toCanvas(chart, Math.min(0, bar.x), bar.y1);
+                const end = this.toCanvas(chart, Math.max(0, bar.x), bar.y0);
+                ctx.fillStyle = bar.color || color;
+                ctx.fillRect(start.x, start.y, end.x - start.x, end.y - start.y);
+            });
+        });
+    },
+
+    /**
+     * Draw a labelled marker (e.g. a minimum)
+     * @param {object} chart - Chart
+     * @param {number} x - Data X
+     * @param {number} y - Data Y
+     * @param {string} color - Marker color
+     * @param {string} label - Optional label
+     */
+    drawMarker: function(chart, x, y, color, label = '') {
+        const ctx = chart.ctx;
+        const p = this.toCanvas(chart, x, y);
+        
+        ctx.fillStyle = color;
+        ctx.font = 'bold 16px Poppins';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('★', p.x, p.y);
+        
+        if (label) {
+            ctx.font = '10px Poppins';
+            ctx.textAlign = 'left';
+            ctx.fillText(label, p.x + 9, p.y - 8);
+        }
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    },
+
+    /**
+     * Fill the plot area with a value field
+     * @param {object} chart - Chart
+     * @param {function} valueFn - (x, y) => value in data coordinates
+     * @param {function} colorFn - value => [r, g, b]
+     */
+    drawHeatmap: function(chart, valueFn, colorFn) {
+        const area = this.plotArea(chart);
+        const width = Math.floor(area.width);
+        const height = Math.floor(area.height);
+        const image = chart.ctx.createImageData(width, height);
+        
+        for (let py = 0; py < height; py++) {
+            for (let px = 0; px < width; px++) {
+                const point = this.fromCanvas(chart, area.left + px + 0.5, area.top + py + 0.5);
+                const [r, g, b] = colorFn(valueFn(point.x, point.y));
+                const offset = (py * width + px) * 4;
+                image.data[offset] = r;
+                image.data[offset + 1] = g;
+                image.data[offset + 2] = b;
+                image.data[offset + 3] = 255;
+            }
+        }
+        
+        chart.ctx.putImageData(image, area.left, area.top);
+    },
+
+    /**
+     * Draw text inside a chart
+     */
+    drawText: function(chart, text, x, y, color = this.colors.text, font = '11px Poppins') {
+        chart.ctx.fillStyle = color;
+        chart.ctx.font = font;
+        chart.ctx.fillText(text, x, y);
+    },
+
+    /**
+     * Draw a decision tree node: a circle with its split (or class), and the class mix,
+     * sample count and impurity underneath
+     * @param {object} chart - Chart to draw in
+     * @param {object} node - Tree node {isLeaf, label, feature, threshold, count, classCounts, impurity}
+     * @param {number} x - Canvas x of the node center
+     * @param {number} y - Canvas y of the node center
+     * @param {object} options - colors: class colors, impurityName: label for node.impurity,
+     *                           highlighted: draw a thick ring
+     */
+    drawTreeNode: function(chart, node, x, y, options = {}) {
+        const ctx = chart.ctx;
+        const radius = 25;
+        const colors = options.colors || [];
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fillStyle = node.isLeaf ? colors[node.label % colors.length] || '#10b981' : '#4f46e5';
+        ctx.fill();
+        ctx.strokeStyle = options.highlighted ? '#f59e0b' : '#1e293b';
+        ctx.lineWidth = options.highlighted ? 5 : 2;
+        ctx.setLineDash([]);
+        ctx.stroke();
+        
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 12px Poppins';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        if (node.isLeaf) {
+            ctx.fillText(`Class ${node.label}`, x, y);
+        } else {
+            ctx.fillText(`${node.feature}`, x, y - 8);
+            ctx.font = '10px Poppins';
+            ctx.fillText(`< ${node.threshold.toFixed(0)}`, x, y + 8);
+        }
+        
+        if (node.classCounts && node.count > 0) {
+            const barWidth = 56;
+            const top = y + radius + 5;
+            let left = x - barWidth / 2;
+            node.classCounts.forEach((count, label) => {
+                const width = count / node.count * barWidth;
+                ctx.fillStyle = colors[label % colors.length] || this.colors.axis;
+                ctx.fillRect(left, top, width, 6);
+                left += width;
+            });
+            
+            ctx.fillStyle = '#1e293b';
+            ctx.font = '10px Poppins';
+            ctx.fillText(`n = ${node.count}`, x, top + 15);
+            ctx.fillText(`${options.impurityName || 'impurity'} ${node.impurity.toFixed(2)}`, x, top + 27);
+        }
+        
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'alphabetic';
+    }
+};
+
+// Make globally available
+window.Charts = Charts;
+
+console.log('📉 Charts module loaded');
\ No newline at end of file
@@ -64,13 +64,36 @@ const Datasets = {
         { x: 520, y: 180, label: 1 },
         { x: 540, y: 300, label: 1 }
     ],
+    
+    // Two far clumps - with K = 3 and a Forgy or uniform start, one centroid ends up empty
+    farClumps: [
+        // Clump 1 (left)
+        { x: 120, y: 250 },
+        { x: 128, y: 244 },
+        { x: 113, y: 255 },
+        { x: 125, y: 259 },
+        { x: 111, y: 242 },
+        { x: 130, y: 253 },
+        { x: 116, y: 260 },
+        { x: 123, y: 240 },
+        
+        // Clump 2 (right)
+        { x: 580, y: 250 },
+        { x: 588, y: 244 },
+        { x: 573, y: 255 },
+        { x: 585, y: 259 },
+        { x: 571, y: 242 },
+        { x: 590, y: 253 },
+        { x: 576, y: 260 },
+        { x: 583, y: 240 }
+    ],
 
     /**
      * Generate random dataset
      * @param {number} count - Number of points to generate
      * @param {number} canvasWidth - Canvas width
      * @param {number} canvasHeight - Canvas height
-     * @param {string} pattern - 'random', 'linear', 'clusters'
+     * @param {string} pattern - 'random', 'linear', 'clusters', 'moons', 'rings'
      * @returns {Array} Array of point objects
      */
     generateRandom: function(count = 20, canvasWidth = 700, canvasHeight = 500, pattern = 'random') {
@@ -82,14 +105,14 @@ const Datasets = {
                 // Generate points with linear trend + noise
                 for (let i = 0; i < count; i++) {
                     const x = padding + (i / count) * (canvasWidth - 2 * padding);
-                    const noise = (Math.random() - 0.5) * 100;
+                    const noise = (Random.next() - 0.5) * 100;
                     const y = canvasHeight - padding - (i / count) * (canvasHeight - 2 * padding) + noise;
                     points.push({ x, y });
                 }
                 break;
 
             case 'clusters':
-                // Generate 3 clusters
+                // Generate 3 clusters, labeled by cluster for classifiers
                 const clusterCenters = [
                     { x: 150, y: 150 },
                     { x: 550, y: 150 },
@@ -98,18 +121,50 @@ const Datasets = {
                 
                 for (let i = 0; i < count; i++) {
                     const center = clusterCenters[i % 3];
-                    const x = center.x + (Math.random() - 0.5) * 100;
-                    const y = center.y + (Math.random() - 0.5) * 100;
-                    points.push({ x, y });
+                    const x = center.x + (Random.next() - 0.5) * 100;
+                    const y = center.y + (Random.next() - 0.5) * 100;
+                    points.push({ x, y, label: i % 3 });
                 }
                 break;
 
+            case 'moons':
+                // Two interleaving half circles, points spread evenly along each arc
+                for (let i = 0; i < count; i++) {
+                    const upper = i % 2 === 0;
+                    const t = (Math.floor(i / 2) + Random.next()) / Math.ceil(count / 2) * Math.PI;
+                    const u = upper ? Math.cos(t) : 1 - Math.cos(t);
+                    const v = upper ? Math.sin(t) : 0.5 - Math.sin(t);
+                    points.push({
+                        x: canvasWidth / 2 + (u - 0.5) * 180 + (Random.next() - 0.5) * 30,
+                        y: canvasHeight / 2 - (v - 0.25) * 180 + (Random.next() - 0.5) * 30,
+                        label: upper ? 0 : 1
+                    });
+                }
+                break;
+                
+            case 'rings':
+                // A small ring inside a large one (a third of the points on the inner ring)
+                for (let i = 0; i < count; i++) {
+                    const inner = i % 3 === 0;
+                    const radius = inner ? 70 : 190;
+                    const slot = inner ? Math.floor(i / 3) : i - Math.floor(i / 3) - 1;
+                    const slots = inner ? Math.ceil(count / 3) : count - Math.ceil(count / 3);
+                    const angle = (slot + Random.next()) / slots * Math.PI * 2;
+                    const noise = (Random.next() - 0.5) * 25;
+                    points.push({
+                        x: canvasWidth / 2 + (radius + noise) * Math.cos(angle),
+                        y: canvasHeight / 2 + (radius + noise) * Math.sin(angle),
+                        label: inner ? 0 : 1
+                    });
+                }
+                break;
+                
             default:
                 // Random scatter
                 for (let i = 0; i < count; i++) {
                     points.push({
-                        x: padding + Math.random() * (canvasWidth - 2 * padding),
-                        y: padding + Math.random() * (canvasHeight - 2 * padding)
+                        x: Random.range(padding, canvasWidth - padding),
+                        y: Random.range(padding, canvasHeight - padding)
                     });
                 }
         }
@@ -117,12 +172,45 @@ const Datasets = {
         return points;
     },
 
+    /**
+     * Copy points with a class label on each, for a classifier that handles maxClasses classes.
+     * Points labeled maxClasses or above are dropped with a console warning; callers can
+     * compare lengths to report how many. Unlabeled points are split at the median x:
+     * the left half is class 0 and the right half class 1.
+     * @param {Array} points - Points, labeled or not
+     * @param {number} maxClasses - Number of classes the classifier supports
+     * @returns {Array} Labeled copies {x, y, label} of the points that were kept
+     */
+    withLabels: function(points, maxClasses = 2) {
+        const kept = points.filter(p => p.label === undefined || p.label < maxClasses);
+        if (kept.length < points.length) {
+            console.warn(`Dropped ${points.length - kept.length} point(s) from classes beyond the first ${maxClasses}`);
+        }
+        
+        const xs = kept.filter(p => p.label === undefined).map(p => p.x).sort((a, b) => a - b);
+        const median = xs.length > 0 ? xs[Math.floor(xs.length / 2)] : 0;
+        
+        return kept.map(p => ({
+            x: p.x,
+            y: p.y,
+            label: p.label !== undefined ? p.label : (p.x < median ? 0 : 1)
+        }));
+    },
+
     /**
      * Get dataset by name
      * @param {string} name - Dataset name
      * @returns {Array} Dataset points
      */
     get: function(name) {
+        // Shapes that are generated rather than stored
+        if (name === 'moons' || name === 'rings') {
+            return this.generateRandom(150, 700, 500, name);
+        }
+        if (name === 'large') {
+            return this.generateRandom(50000, 700, 500, 'clusters');
+        }
+        
         if (this[name]) {
             // Return a copy to prevent modification
             return JSON.parse(JSON.stringify(this[name]));
@@ -0,0 +1,466 @@
+/**
+ * dbscan.js
+ * DBSCAN (Density-Based Spatial Clustering of Applications with Noise)
+ * Clusters grow outward from dense "core" points one point at a time
+ */
+
+const DBSCAN = {
+    // Data
+    points: [],
+    
+    // Parameters
+    eps: 40,                 // Neighborhood radius in pixels
+    minPts: 4,               // Neighbors (including itself) needed to be a core point
+    
+    // Distances, found once per dataset (see computeDistances)
+    candidates: [],          // {indices, distances} within candidateRadius of each point, in index order
+    candidateRadius: 0,      // At least the largest ε on the slider, so changing ε only filters
+    nearestDistances: [],    // Each point's smallest distances (itself included), sorted
+    kDistances: null,        // {minPts, values}: sorted k-distances for the k-distance plot
+    
+    // Algorithm state
+    neighbors: [],           // Indices within eps of each point (fixed for the current eps)
+    labels: [],              // Cluster index per point, -1 = noise / not yet assigned
+    types: [],               // 'core' | 'border' | 'noise' | null (not visited)
+    visited: [],
+    queue: [],               // Points waiting to be expanded into the current cluster
+    current: -1,             // Point processed in the last step
+    cluster: -1,             // Cluster being grown
+    scanIndex: 0,            // Next point to try as the seed of a new cluster
+    currentStep: 0,
+    isDone: false,
+    maxPoints: 2000,         // Loading data compares every pair of points
+    
+    // Timeline: fields that make up a step's state
+    stateKeys: ['labels', 'types', 'visited', 'queue', 'current', 'cluster',
+                'scanIndex', 'currentStep', 'isDone'],
+    tweenKeys: [],
+
+    /**
+     * Algorithm explanation
+     */
+    explanation: {
+        title: "DBSCAN",
+        description: `
+            <p>DBSCAN finds clusters as <strong>dense regions</strong> separated by sparse ones. No K needed, and clusters can have any shape.</p>
+            
+            <h4>🎯 Point Types</h4>
+            <ul>
+                <li><strong>Core:</strong> has at least minPts points (itself included) within radius ε</li>
+                <li><strong>Border:</strong> not core, but within ε of a core point</li>
+                <li><strong>Noise:</strong> neither; belongs to no cluster</li>
+            </ul>
+            
+            <h4>📊 How It Works</h4>
+            <ul>
+                <li><strong>Step 1:</strong> Pick an unvisited point and count its ε-neighbors</li>
+                <li><strong>Step 2:</strong> Too few? Mark it noise (for now). Enough? Start a new cluster</li>
+                <li><strong>Step 3:</strong> Add its neighbors to the cluster; every neighbor that is itself core adds its own neighbors too</li>
+                <li><strong>Step 4:</strong> When the cluster stops growing, go back to Step 1</li>
+            </ul>
+            <p>The dashed circle shows the ε-neighborhood of the point being processed.</p>
+            
+            <h4>🌙 Where K-Means Fails</h4>
+            <p>K-Means cuts space into convex Voronoi cells, so it splits the <strong>Two Moons</strong> and <strong>Rings</strong> datasets wrongly. DBSCAN follows the density and recovers each shape.</p>
+            
+            <h4>📏 Choosing ε</h4>
+            <p>The <strong>k-distance plot</strong> sorts every point's distance to its minPts-th nearest neighbor. A good ε sits at the "knee" where the curve shoots up. Click the chart to set ε.</p>
+        `
+    },
+
+    /**
+     * Parameters
+     */
+    parameters: [
+        {
+            id: 'eps',
+            name: 'Radius (ε)',
+            min: 10,
+            max: 120,
+            step: 5,
+            default: 40,
+            description: 'Neighborhood radius in pixels'
+        },
+        {
+            id: 'min-pts',
+            name: 'Min Points',
+            min: 2,
+            max: 10,
+            step: 1,
+            default: 4,
+            description: 'Neighbors needed to be a core point'
+        }
+    ],
+
+    /**
+     * Initialize
+     * @param {Array} points - Data points
+     */
+    init: function(points) {
+        this.points = points.map(p => ({ x: p.x, y: p.y }));
+        this.computeDistances();
+        this.reset();
+        
+        console.log('🌌 DBSCAN initialized with', points.length, 'points');
+    },
+
+    /**
+     * Calculate Euclidean distance between two points
+     */
+    distance: function(p1, p2) {
+        return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+    },
+
+    /**
+     * Compare every pair of points once: keep the candidate neighbors within the largest ε
+     * the slider offers, and each point's nearest distances up to the largest minPts
+     */
+    computeDistances: function() {
+        const slider = (id) => this.parameters.find(p => p.id === id).max;
+        const radius = Math.max(this.eps, slider('eps'));
+        const kMax = Math.max(this.minPts, slider('min-pts'));
+        
+        this.candidates = [];
+        this.nearestDistances = [];
+        this.points.forEach(point => {
+            const indices = [];
+            const distances = [];
+            const nearest = [];
+            for (let j = 0; j < this.points.length; j++) {
+                const d = this.distance(point, this.points[j]);
+                if (d <= radius) {
+                    indices.push(j);
+                    distances.push(d);
+                }
+                if (nearest.length < kMax || d < nearest[nearest.length - 1]) {
+                    let at = nearest.length;
+                    while (at > 0 && nearest[at - 1] > d) at--;
+                    nearest.splice(at, 0, d);
+                    if (nearest.length > kMax) nearest.pop();
+                }
+            }
+            this.candidates.push({ indices, distances });
+            this.nearestDistances.push(nearest);
+        });
+        
+        this.candidateRadius = radius;
+        this.kDistances = null;
+    },
+
+    /**
+     * Find the ε-neighborhood of every point (each point counts as its own neighbor)
+     */
+    computeNeighbors: function() {
+        if (this.eps > this.candidateRadius) {
+            this.computeDistances();
+        }
+        
+        this.neighbors = this.candidates.map(({ indices, distances }) =>
+            indices.filter((_, c) => distances[c] <= this.eps)
+        );
+    },
+
+    /**
+     * Every point's distance to its minPts-th nearest point (counting the point itself,
+     * like the core rule), sorted; cached until the data or minPts changes
+     */
+    sortedKDistances: function() {
+        if (this.points.length >= this.minPts && this.nearestDistances[0].length < this.minPts) {
+            this.computeDistances();
+        }
+        
+        if (!this.kDistances || this.kDistances.minPts !== this.minPts) {
+            this.kDistances = {
+                minPts: this.minPts,
+                values: this.nearestDistances.map(nearest => nearest[this.minPts - 1]).sort((a, b) => a - b)
+            };
+        }
+        
+        return this.kDistances.values;
+    },
+
+    /**
+     * Whether a point has enough neighbors to be a core point
+     * @param {number} i - Point index
+     */
+    isCore: function(i) {
+        return this.neighbors[i].length >= this.minPts;
+    },
+
+    /**
+     * Process one point: grow the current cluster from the queue,
+     * or try the next unvisited point as the seed of a new cluster
+     * @returns {object} What happened, for the step description
+     */
+    processNext: function() {
+        // Grow the current cluster
+        if (this.queue.length > 0) {
+            const i = this.queue.shift();
+            this.current = i;
+            
+            const wasNoise = this.types[i] === 'noise';
+            this.labels[i] = this.cluster;
+            
+            if (this.visited[i]) {
+                // Seen before as noise: it is reachable, so it becomes a border point
+                this.types[i] = 'border';
+                return { kind: 'border', point: i, wasNoise };
+            }
+            
+            this.visited[i] = true;
+            if (this.isCore(i)) {
+                this.types[i] = 'core';
+                const added = this.enqueueNeighbors(i);
+                return { kind: 'expand', point: i, added };
+            }
+            
+            this.types[i] = 'border';
+            return { kind: 'border', point: i, wasNoise };
+        }
+        
+        // Find the next unvisited point
+        while (this.scanIndex < this.points.length && this.visited[this.scanIndex]) {
+            this.scanIndex++;
+        }
+        if (this.scanIndex >= this.points.length) {
+            this.isDone = true;
+            this.current = -1;
+            return { kind: 'done' };
+        }
+        
+        const i = this.scanIndex;
+        this.current = i;
+        this.visited[i] = true;
+        
+        if (!this.isCore(i)) {
+            this.types[i] = 'noise';
+            return { kind: 'noise', point: i };
+        }
+        
+        this.cluster++;
+        this.labels[i] = this.cluster;
+        this.types[i] = 'core';
+        const added = this.enqueueNeighbors(i);
+        return { kind: 'seed', point: i, added };
+    },
+
+    /**
+     * Queue the neighbors of a core point that are not in a cluster yet
+     * @param {number} i - Core point index
+     * @returns {number} How many points were queued
+     */
+    enqueueNeighbors: function(i) {
+        let added = 0;
+        this.neighbors[i].forEach(j => {
+            if (this.labels[j] === -1 && !this.queue.includes(j)) {
+                this.queue.push(j);
+                added++;
+            }
+        });
+        return added;
+    },
+
+    /**
+     * Run to completion
+     */
+    run: function() {
+        while (!this.isDone) {
+            this.processNext();
+        }
+        this.currentStep = Math.max(this.currentStep, 1);
+        
+        return {
+            clusters: this.cluster + 1,
+            noise: this.types.filter(t => t === 'noise').length
+        };
+    },
+
+    /**
+     * Execute a single step
+     * @returns {object} Step information
+     */
+    step: function() {
+        if (this.isDone) {
+            return this.summary();
+        }
+        
+        const result = this.processNext();
+        this.currentStep++;
+        
+        const count = result.point !== undefined ? this.neighbors[result.point].length : 0;
+        const label = `Point #${result.point + 1}`;
+        
+        switch(result.kind) {
+            case 'seed':
+                return {
+                    step: this.currentStep,
+                    title: `Start Cluster ${this.cluster + 1}`,
+                    description: `${label} has ${count} neighbors within ε (≥ ${this.minPts}), so it is a core point.\n• A new cluster starts here\n• ${result.added} neighbor(s) queued for expansion`,
+                    highlight: 'core'
+                };
+            case 'expand':
+                return {
+                    step: this.currentStep,
+                    title: `Expand Cluster ${this.cluster + 1}`,
+                    description: `${label} is also a core point (${count} neighbors).\n• Its neighborhood joins the cluster\n• ${result.added} new point(s) queued, ${this.queue.length} waiting`,
+                    highlight: 'core'
+                };
+            case 'border':
+                return {
+                    step: this.currentStep,
+                    title: `Border Point`,
+                    description: `${label} is reachable from cluster ${this.cluster + 1} but has only ${count} neighbor(s).\n• Joins the cluster as a border point${result.wasNoise ? ' (no longer noise)' : ''}\n• The cluster does not grow through it`,
+                    highlight: 'border'
+                };
+            case 'noise':
+                return {
+                    step: this.currentStep,
+                    title: `Noise (for now)`,
+                    description: `${label} has only ${count} neighbor(s) within ε (< ${this.minPts}).\n• Marked as noise\n• It may still become a border point of a later cluster`,
+                    highlight: 'noise'
+                };
+            default:
+                return this.summary();
+        }
+    },
+
+    /**
+     * Final step information
+     */
+    summary: function() {
+        const counts = this.typeCounts();
+        return {
+            step: 'Done',
+            title: "All Points Visited",
+            description: `Found ${this.cluster + 1} cluster(s).\n• ${counts.core} core, ${counts.border} border\n• ${counts.noise} noise point(s)`,
+            highlight: 'complete'
+        };
+    },
+
+    /**
+     * Number of points of each type
+     */
+    typeCounts: function() {
+        const counts = { core: 0, border: 0, noise: 0 };
+        this.types.forEach(type => {
+            if (type) counts[type]++;
+        });
+        return counts;
+    },
+
+    /**
+     * Visualize
+     * @param {object} viz - Visualization object
+     */
+    visualize: function(viz) {
+        viz.clear();
+        viz.drawGrid();
+        
+        const colors = viz.colors.cluster;
+        
+        // ε-neighborhood of the point being processed
+        if (this.current >= 0) {
+            const center = this.points[this.current];
+            viz.drawCircle(center.x, center.y, this.eps, viz.colors.highlight, true, 0.12);
+            this.neighbors[this.current].forEach(j => {
+                if (j !== this.current) {
+                    viz.drawLine(center.x, center.y, this.points[j].x, this.points[j].y, '#fbbf24', 1);
+                }
+            });
+        }
+        
+        // Points waiting in the queue
+        this.queue.forEach(i => {
+            viz.drawCircle(this.points[i].x, this.points[i].y, 11, viz.colors.highlight);
+        });
+        
+        this.points.forEach((point, i) => {
+            const color = this.labels[i] >= 0 ? colors[this.labels[i] % colors.length] : '#cbd5e1';
+            switch(this.types[i]) {
+                case 'core':
+                    viz.drawPoint(point.x, point.y, color, 8);
+                    break;
+                case 'border':
+                    viz.drawPoint(point.x, point.y, color, 5);
+                    viz.drawCircle(point.x, point.y, 8, color);
+                    break;
+                case 'noise':
+                    viz.drawLine(point.x - 5, point.y - 5, point.x + 5, point.y + 5, '#64748b', 2);
+                    viz.drawLine(point.x - 5, point.y + 5, point.x + 5, point.y - 5, '#64748b', 2);
+                    break;
+                default:
+                    viz.drawPoint(point.x, point.y, '#cbd5e1', 6);
+            }
+        });
+        
+        if (this.current >= 0) {
+            const center = this.points[this.current];
+            viz.drawCircle(center.x, center.y, 12, '#1e293b');
+        }
+        
+        // Legend
+        viz.drawText('● core   ◉ border   ✕ noise', 10, 20, '#1e293b', 'bold 13px Poppins');
+    },
+
+    /**
+     * Draw auxiliary charts: the k-distance plot for choosing ε
+     * @param {object} charts - Charts object
+     */
+    drawCharts: function(charts) {
+        if (this.points.length < this.minPts) return;
+        
+        const kDistances = this.sortedKDistances();
+        
+        const chart = charts.panel('dbscan-k-distance', `k-Distance Plot (k = ${this.minPts})`);
+        const yMax = Math.max(this.eps, ...kDistances) * 1.1;
+        charts.setRange(chart, 0, kDistances.length - 1, 0, yMax);
+        charts.drawAxes(chart, 'points (sorted)', `distance to ${this.minPts}-th neighbor`);
+        
+        const curve = kDistances.map((d, i) => ({ x: i, y: d }));
+        charts.drawLine(chart, curve, '#4f46e5');
+        charts.drawLine(chart, [{ x: 0, y: this.eps }, { x: kDistances.length - 1, y: this.eps }], '#ef4444', 1.5, true);
+        charts.drawText(chart, `ε = ${this.eps}`, charts.plotArea(chart).left + 6, 22, '#ef4444');
+        
+        chart.onClick = (point) => {
+            const eps = Math.min(120, Math.max(10, Math.round(point.y / 5) * 5));
+            setParameter('eps', eps);
+        };
+    },
+
+    /**
+     * Get stats
+     */
+    getStats: function() {
+        const counts = this.typeCounts();
+        return {
+            'Points': this.points.length,
+            'ε / minPts': `${this.eps} / ${this.minPts}`,
+            'Clusters': this.cluster + 1,
+            'Core Points': counts.core,
+            'Border Points': counts.border,
+            'Noise Points': counts.noise,
+            'Visited': this.visited.filter(v => v).length + '/' + this.points.length
+        };
+    },
+
+    /**
+     * Reset
+     */
+    reset: function() {
+        this.computeNeighbors();
+        this.labels = new Array(this.points.length).fill(-1);
+        this.types = new Array(this.points.length).fill(null);
+        this.visited = new Array(this.points.length).fill(false);
+        this.queue = [];
+        this.current = -1;
+        this.cluster = -1;
+        this.scanIndex = 0;
+        this.currentStep = 0;
+        this.isDone = false;
+    }
+};
+
+// Make globally available
+window.DBSCAN = DBSCAN;
+
+console.log('🌌 DBSCAN module loaded');
\ No newline at end of file
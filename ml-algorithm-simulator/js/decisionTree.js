@@ -7,50 +7,95 @@
 const DecisionTree = {
     // Data
     points: [],
+    usesLabels: true,        // Points carry a class label
     
     // Tree structure
     tree: null,
     maxDepth: 3,
     minSamples: 2,
+    criterion: 'gini',       // gini | entropy | misclassification
+    growthOrder: 'bfs',      // bfs | dfs: which waiting node Step Forward grows next
+    maxPoints: 2000,         // Largest dataset this module accepts
     
     // Visualization
     boundaries: [],
     regions: [],
     currentStep: 0,
+    nodeCount: 0,            // Nodes created so far; each node's id is its creation index
+    frontier: [],            // Leaves still to be grown [{id, indices}], next one first
+    scan: null,              // {nodeId, x, y, best}: thresholds tried for the next split
+    hoveredNode: null,       // Id of the node hovered in the diagram or on the canvas
+    
+    // Timeline: fields that make up a step's state
+    stateKeys: ['tree', 'boundaries', 'regions', 'currentStep', 'nodeCount', 'frontier', 'scan'],
+    tweenKeys: [],
     
     // Class labels (for visualization)
-    classColors: ['#ef4444', '#3b82f6'],
+    classColors: ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6',
+                  '#ec4899', '#14b8a6', '#f97316'],
+    maxClasses: 8,
+    droppedPoints: 0,        // Points labeled beyond maxClasses, left out by Datasets.withLabels
 
-    /**
-     * Algorithm explanation
-     */
-    explanation: {
-        title: "Decision Tree",
-        description: `
-            <p>A Decision Tree makes predictions by learning <strong>simple decision rules</strong> from data.</p>
-            
-            <h4>🎯 Goal</h4>
-            <p>Create rules that split data into pure groups (same class).</p>
-            
-            <h4>🌳 How It Works</h4>
-            <ul>
-                <li><strong>Step 1:</strong> Find the best feature and value to split on</li>
-                <li><strong>Step 2:</strong> Split data into two groups</li>
-                <li><strong>Step 3:</strong> Repeat for each group</li>
-                <li><strong>Step 4:</strong> Stop when groups are pure or max depth reached</li>
-            </ul>
-            
-            <h4>📊 Splitting Criteria</h4>
+    // Impurity formula for each split criterion, shown in the explanation
+    criterionFormulas: {
+        gini: `
             <p>We use <strong>Gini Impurity</strong> to find the best split:</p>
             <div class="formula-box">
                 Gini = 1 - Σ(pi²)
                 <br>
                 Lower Gini = Better split
             </div>
-            
-            <h4>📍 For 2D Data</h4>
-            <p>Splits create horizontal or vertical lines that divide the space into regions.</p>
-        `
+            <p>The chance that two points drawn at random from a node have different classes.</p>`,
+        entropy: `
+            <p>We use <strong>Entropy</strong> and pick the split with the highest <strong>information gain</strong>:</p>
+            <div class="formula-box">
+                H = -Σ pi · log₂(pi)
+                <br>
+                Gain = H(parent) - Σ (nchild / n) · H(child)
+            </div>
+            <p>The bits needed on average to say which class a point in the node has.</p>`,
+        misclassification: `
+            <p>We use <strong>Misclassification Error</strong> to find the best split:</p>
+            <div class="formula-box">
+                Error = 1 - max(pi)
+                <br>
+                Lower Error = Better split
+            </div>
+            <p>The share of points the node's majority class gets wrong. It often sees no gain from a split that still makes the children purer, so trees grown with it can stop improving early.</p>`
+    },
+
+    /**
+     * Algorithm explanation, showing the formula of the chosen criterion
+     */
+    get explanation() {
+        return {
+            title: "Decision Tree",
+            description: `
+                <p>A Decision Tree makes predictions by learning <strong>simple decision rules</strong> from data.</p>
+                
+                <h4>🎯 Goal</h4>
+                <p>Create rules that split data into pure groups (same class).</p>
+                
+                <h4>🌳 How It Works</h4>
+                <ul>
+                    <li><strong>Step 1:</strong> Find the best feature and value to split on</li>
+                    <li><strong>Step 2:</strong> Split data into two groups</li>
+                    <li><strong>Step 3:</strong> Repeat for each group</li>
+                    <li><strong>Step 4:</strong> Stop when groups are pure or max depth reached</li>
+                </ul>
+                
+                <h4>📊 Splitting Criteria</h4>
+                ${this.criterionFormulas[this.criterion]}
+                <p>Each split is scored by the impurity of its two sides, weighted by their sizes. The criterion sums over every class, so the same rule handles up to 8 classes. Pick the class of new points from the palette on the left.</p>
+                
+                <h4>👣 Growing Step by Step</h4>
+                <p><strong>Step Forward</strong> grows one node at a time, breadth-first (level by level) or depth-first (one branch at a time). For each node it first scans every threshold on both axes and charts the impurity each would leave, then commits the lowest one. Nodes that are pure, too small or too deep stay leaves.</p>
+                
+                <h4>📍 For 2D Data</h4>
+                <p>Splits create horizontal or vertical lines that divide the space into regions.</p>
+                <p>The <strong>Tree Diagram</strong> below the canvas shows each node's rule, sample count, impurity and class mix. Hover a node to see its region, or hover the canvas to find the leaf a spot falls in.</p>
+            `
+        };
     },
 
     /**
@@ -74,6 +119,29 @@ const DecisionTree = {
             step: 1,
             default: 2,
             description: 'Minimum points needed to split'
+        },
+        {
+            id: 'split-criterion',
+            name: 'Split Criterion',
+            type: 'select',
+            default: 'gini',
+            options: [
+                { value: 'gini', label: 'Gini impurity' },
+                { value: 'entropy', label: 'Entropy (information gain)' },
+                { value: 'misclassification', label: 'Misclassification error' }
+            ],
+            description: 'How the purity of a split is measured'
+        },
+        {
+            id: 'growth-order',
+            name: 'Growth Order',
+            type: 'select',
+            default: 'bfs',
+            options: [
+                { value: 'bfs', label: 'Breadth-first' },
+                { value: 'dfs', label: 'Depth-first' }
+            ],
+            description: 'Which node Step Forward grows next'
         }
     ],
 
@@ -81,17 +149,10 @@ const DecisionTree = {
      * Initialize
      */
     init: function(points) {
-        // Assign labels if not present (for demo)
-        this.points = points.map(p => ({
-            x: p.x,
-            y: p.y,
-            label: p.label !== undefined ? p.label : (p.x < 350 ? 0 : 1) // Simple rule for demo
-        }));
+        this.points = Datasets.withLabels(points, this.maxClasses);
+        this.droppedPoints = points.length - this.points.length;
         
-        this.tree = null;
-        this.boundaries = [];
-        this.regions = [];
-        this.currentStep = 0;
+        this.reset();
         
         console.log('🌳 Decision Tree initialized with', points.length, 'points');
     },
@@ -117,46 +178,105 @@ const DecisionTree = {
     },
 
     /**
-     * Find best split
+     * Calculate entropy in bits
      */
-    findBestSplit: function(points, bounds) {
-        if (points.length < this.minSamples) return null;
+    entropy: function(points) {
+        if (points.length === 0) return 0;
         
-        let bestGini = Infinity;
-        let bestSplit = null;
+        const counts = {};
+        points.forEach(p => {
+            counts[p.label] = (counts[p.label] || 0) + 1;
+        });
         
-        // Try splitting on X axis
-        const xValues = [...new Set(points.map(p => p.x))].sort((a, b) => a - b);
-        for (let i = 0; i < xValues.length - 1; i++) {
-            const threshold = (xValues[i] + xValues[i + 1]) / 2;
-            const left = points.filter(p => p.x < threshold);
-            const right = points.filter(p => p.x >= threshold);
-            
-            if (left.length > 0 && right.length > 0) {
-                const gini = (left.length * this.gini(left) + right.length * this.gini(right)) / points.length;
-                if (gini < bestGini) {
-                    bestGini = gini;
-                    bestSplit = { feature: 'x', threshold, left, right };
-                }
-            }
+        let entropy = 0;
+        for (const label in counts) {
+            const prob = counts[label] / points.length;
+            entropy -= prob * Math.log2(prob);
+        }
+        
+        return entropy;
+    },
+
+    /**
+     * Calculate misclassification error: share of points outside the majority class
+     */
+    misclassification: function(points) {
+        if (points.length === 0) return 0;
+        
+        const counts = {};
+        points.forEach(p => {
+            counts[p.label] = (counts[p.label] || 0) + 1;
+        });
+        
+        return 1 - Math.max(...Object.values(counts)) / points.length;
+    },
+
+    /**
+     * Impurity of a group of points under the selected criterion
+     */
+    impurity: function(points) {
+        switch(this.criterion) {
+            case 'entropy':
+                return this.entropy(points);
+            case 'misclassification':
+                return this.misclassification(points);
+            default:
+                return this.gini(points);
         }
+    },
+
+    /**
+     * Display name of the selected criterion
+     */
+    criterionName: function() {
+        return { gini: 'Gini', entropy: 'Entropy', misclassification: 'Misclassification' }[this.criterion];
+    },
+
+    /**
+     * Size-weighted impurity of the two sides for every candidate threshold on one axis.
+     * Candidates sit halfway between neighboring distinct values.
+     * @param {Array} points - Points to split
+     * @param {string} feature - 'x' or 'y'
+     * @returns {Array} [{threshold, impurity}] in increasing threshold order
+     */
+    scanThresholds: function(points, feature) {
+        const values = [...new Set(points.map(p => p[feature]))].sort((a, b) => a - b);
+        const candidates = [];
         
-        // Try splitting on Y axis
-        const yValues = [...new Set(points.map(p => p.y))].sort((a, b) => a - b);
-        for (let i = 0; i < yValues.length - 1; i++) {
-            const threshold = (yValues[i] + yValues[i + 1]) / 2;
-            const left = points.filter(p => p.y < threshold);
-            const right = points.filter(p => p.y >= threshold);
+        for (let i = 0; i < values.length - 1; i++) {
+            const threshold = (values[i] + values[i + 1]) / 2;
+            const left = points.filter(p => p[feature] < threshold);
+            const right = points.filter(p => p[feature] >= threshold);
             
             if (left.length > 0 && right.length > 0) {
-                const gini = (left.length * this.gini(left) + right.length * this.gini(right)) / points.length;
-                if (gini < bestGini) {
-                    bestGini = gini;
-                    bestSplit = { feature: 'y', threshold, left, right };
-                }
+                const impurity = (left.length * this.impurity(left) + right.length * this.impurity(right)) / points.length;
+                candidates.push({ threshold, impurity });
             }
         }
         
+        return candidates;
+    },
+
+    /**
+     * Find best split: the one with the lowest size-weighted impurity of its two sides,
+     * i.e. the highest gain. X wins ties.
+     * @param {Array} points - Points to split
+     * @param {object} scan - Result of scanThresholds per axis, if already computed
+     * @returns {object|null} {feature, threshold, impurity}
+     */
+    findBestSplit: function(points, scan = null) {
+        if (points.length < this.minSamples) return null;
+        
+        let bestSplit = null;
+        ['x', 'y'].forEach(feature => {
+            const candidates = scan ? scan[feature] : this.scanThresholds(points, feature);
+            candidates.forEach(({ threshold, impurity }) => {
+                if (!bestSplit || impurity < bestSplit.impurity) {
+                    bestSplit = { feature, threshold, impurity };
+                }
+            });
+        });
+        
         return bestSplit;
     },
 
@@ -182,47 +302,54 @@ const DecisionTree = {
     },
 
     /**
-     * Build tree recursively
+     * Start a tree with a single leaf holding every point, waiting to be split
      */
-    buildTree: function(points, depth = 0, bounds = { minX: 0, maxX: 700, minY: 0, maxY: 500 }) {
-        // Base cases
-        if (depth >= this.maxDepth || points.length < this.minSamples || this.gini(points) === 0) {
-            const label = this.majorityClass(points);
-            
-            // Save region for visualization
-            this.regions.push({
-                bounds: { ...bounds },
-                label: label
-            });
-            
-            return {
-                isLeaf: true,
-                label: label,
-                count: points.length,
-                bounds: bounds
-            };
-        }
-        
-        // Find best split
-        const split = this.findBestSplit(points, bounds);
+    startTree: function() {
+        this.boundaries = [];
+        this.nodeCount = 0;
+        this.hoveredNode = null;
+        this.scan = null;
         
-        if (!split) {
-            const label = this.majorityClass(points);
-            this.regions.push({ bounds: { ...bounds }, label });
-            return {
-                isLeaf: true,
-                label: label,
-                count: points.length,
-                bounds: bounds
-            };
-        }
+        this.tree = { isLeaf: true, ...this.nodeStats(this.points, { minX: 0, maxX: 700, minY: 0, maxY: 500 }, 0) };
+        this.frontier = [{ id: this.tree.id, indices: this.points.map((_, i) => i) }];
+        this.updateRegions();
+    },
+
+    /**
+     * Why a node should stay a leaf, or null if it may be split
+     * @param {object} node - Tree node
+     * @param {Array} points - Points reaching the node
+     */
+    leafReason: function(node, points) {
+        if (node.depth >= this.maxDepth) return `it is at the max depth of ${this.maxDepth}`;
+        if (points.length < this.minSamples) return `it has fewer than ${this.minSamples} points`;
+        if (node.impurity === 0) return 'it is pure';
+        return null;
+    },
+
+    /**
+     * Split a frontier node: it becomes an internal node with two new leaves,
+     * which join the frontier (at the back for breadth-first, the front for depth-first)
+     * @param {object} entry - Frontier entry {id, indices}
+     * @param {object} split - {feature, threshold, impurity} from findBestSplit
+     */
+    expandNode: function(entry, split) {
+        const node = this.findNode(entry.id);
+        const leftIndices = entry.indices.filter(i => this.points[i][split.feature] < split.threshold);
+        const rightIndices = entry.indices.filter(i => this.points[i][split.feature] >= split.threshold);
         
-        // Save boundary for visualization
+        // Save boundary for visualization, with how much purer it makes the data
+        const bounds = node.bounds;
         this.boundaries.push({
             feature: split.feature,
             threshold: split.threshold,
             bounds: { ...bounds },
-            depth: depth
+            depth: node.depth,
+            impurityBefore: node.impurity,
+            impurityAfter: split.impurity,
+            gain: node.impurity - split.impurity,
+            leftCount: leftIndices.length,
+            rightCount: rightIndices.length
         });
         
         // Create child bounds
@@ -235,14 +362,60 @@ const DecisionTree = {
             rightBounds = { ...bounds, minY: split.threshold };
         }
         
-        // Recurse
-        return {
+        const toPoints = (indices) => indices.map(i => this.points[i]);
+        Object.assign(node, {
             isLeaf: false,
             feature: split.feature,
             threshold: split.threshold,
-            gini: this.gini(points),
-            left: this.buildTree(split.left, depth + 1, leftBounds),
-            right: this.buildTree(split.right, depth + 1, rightBounds)
+            left: { isLeaf: true, ...this.nodeStats(toPoints(leftIndices), leftBounds, node.depth + 1) },
+            right: { isLeaf: true, ...this.nodeStats(toPoints(rightIndices), rightBounds, node.depth + 1) }
+        });
+        
+        const children = [
+            { id: node.left.id, indices: leftIndices },
+            { id: node.right.id, indices: rightIndices }
+        ];
+        this.frontier = this.growthOrder === 'bfs'
+            ? [...this.frontier, ...children]
+            : [...children, ...this.frontier];
+        this.updateRegions();
+    },
+
+    /**
+     * One region per current leaf, colored by its majority class
+     */
+    updateRegions: function() {
+        this.regions = [];
+        const collect = (node) => {
+            if (node.isLeaf) {
+                this.regions.push({ bounds: { ...node.bounds }, label: node.label });
+            } else {
+                collect(node.left);
+                collect(node.right);
+            }
+        };
+        collect(this.tree);
+    },
+
+    /**
+     * What a node knows about the points that reach it
+     * @param {Array} points - Points reaching the node
+     * @param {object} bounds - Region of the node
+     * @param {number} depth - Depth of the node
+     * @returns {object} {id, depth, label, count, classCounts, impurity, bounds}
+     */
+    nodeStats: function(points, bounds, depth) {
+        const classCounts = new Array(this.maxClasses).fill(0);
+        points.forEach(p => classCounts[p.label]++);
+        
+        return {
+            id: this.nodeCount++,
+            depth: depth,
+            label: this.majorityClass(points),
+            count: points.length,
+            classCounts: classCounts,
+            impurity: this.impurity(points),
+            bounds: bounds
         };
     },
 
@@ -255,11 +428,16 @@ const DecisionTree = {
             return null;
         }
         
-        this.boundaries = [];
-        this.regions = [];
-        
-        this.tree = this.buildTree(this.points);
-        this.currentStep = this.boundaries.length + 1;
+        this.startTree();
+        while (this.frontier.length > 0) {
+            const entry = this.frontier.shift();
+            const points = entry.indices.map(i => this.points[i]);
+            const split = this.leafReason(this.findNode(entry.id), points) ? null : this.findBestSplit(points);
+            if (split) {
+                this.expandNode(entry, split);
+            }
+        }
+        this.currentStep++;
         
         return {
             tree: this.tree,
@@ -269,21 +447,65 @@ const DecisionTree = {
     },
 
     /**
-     * Step through algorithm
+     * Step through algorithm: grow the tree one node at a time.
+     * A node that can be split takes two steps: scan every threshold, then commit the best.
      */
     step: function() {
-        if (!this.tree) {
-            this.run();
-        }
+        let stepInfo;
+        const order = this.growthOrder === 'bfs' ? 'breadth-first' : 'depth-first';
         
-        if (this.currentStep <= this.boundaries.length) {
-            const boundary = this.boundaries[this.currentStep - 1];
-            return {
-                step: this.currentStep,
+        if (!this.tree) {
+            this.startTree();
+            stepInfo = {
+                step: this.currentStep + 1,
+                title: 'Root Node',
+                description: `All ${this.points.length} points start in one leaf.\n${this.criterionName()}: ${this.tree.impurity.toFixed(3)}\nNodes will be grown ${order}.`,
+                highlight: 'node'
+            };
+        } else if (this.scan) {
+            // Commit the best split found by the scan
+            const entry = this.frontier.shift();
+            this.expandNode(entry, this.scan.best);
+            this.scan = null;
+            
+            const boundary = this.boundaries[this.boundaries.length - 1];
+            stepInfo = {
+                step: this.currentStep + 1,
                 title: `Split on ${boundary.feature.toUpperCase()}`,
-                description: `Creating split at ${boundary.feature} = ${boundary.threshold.toFixed(0)}\nDepth: ${boundary.depth}`,
+                description: `Creating split at ${boundary.feature} = ${boundary.threshold.toFixed(0)}\nDepth: ${boundary.depth}\n` +
+                    `${this.criterionName()} before: ${boundary.impurityBefore.toFixed(3)}\n` +
+                    `${this.criterionName()} after: ${boundary.impurityAfter.toFixed(3)} (weighted over ${boundary.leftCount} + ${boundary.rightCount} points)\n` +
+                    `Gain: ${boundary.gain.toFixed(3)}`,
                 highlight: 'boundary'
             };
+        } else if (this.frontier.length > 0) {
+            const entry = this.frontier[0];
+            const node = this.findNode(entry.id);
+            const points = entry.indices.map(i => this.points[i]);
+            const reason = this.leafReason(node, points);
+            const scan = reason ? null : { x: this.scanThresholds(points, 'x'), y: this.scanThresholds(points, 'y') };
+            const best = scan ? this.findBestSplit(points, scan) : null;
+            
+            if (best) {
+                // Scan now, commit on the next step
+                this.scan = { nodeId: node.id, x: scan.x, y: scan.y, best: best };
+                stepInfo = {
+                    step: this.currentStep + 1,
+                    title: `Scan Node #${node.id}`,
+                    description: `Tried ${scan.x.length} thresholds on x and ${scan.y.length} on y for ${points.length} points.\n` +
+                        `${this.criterionName()} now: ${node.impurity.toFixed(3)}\n` +
+                        `Best: ${best.feature} = ${best.threshold.toFixed(0)}, leaving ${best.impurity.toFixed(3)} (see the scan chart)`,
+                    highlight: 'scan'
+                };
+            } else {
+                this.frontier.shift();
+                stepInfo = {
+                    step: this.currentStep + 1,
+                    title: `Node #${node.id} Stays a Leaf`,
+                    description: `Node #${node.id} predicts class ${node.label} because ${reason || 'no threshold separates its points'}.\n${this.frontier.length} nodes left to grow.`,
+                    highlight: 'leaf'
+                };
+            }
         } else {
             return {
                 step: 'Complete',
@@ -294,6 +516,7 @@ const DecisionTree = {
         }
         
         this.currentStep++;
+        return stepInfo;
     },
 
     /**
@@ -313,6 +536,57 @@ const DecisionTree = {
         return node ? node.label : 0;
     },
 
+    /**
+     * The leaf whose region contains (x, y)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    nodeAt: function(x, y) {
+        let node = this.tree;
+        
+        while (node && !node.isLeaf) {
+            const value = node.feature === 'x' ? x : y;
+            node = value < node.threshold ? node.left : node.right;
+        }
+        
+        return node;
+    },
+
+    /**
+     * Find a node by id
+     * @param {number} id - Node id
+     */
+    findNode: function(id, node = this.tree) {
+        if (!node || node.id === id) return node;
+        if (node.isLeaf) return null;
+        return this.findNode(id, node.left) || this.findNode(id, node.right);
+    },
+
+    /**
+     * Main canvas hover: highlight the leaf under the mouse in the diagram
+     * @param {number|null} x - Mouse X, or null when the mouse left the canvas
+     * @param {number|null} y - Mouse Y
+     */
+    onCanvasHover: function(x, y) {
+        const node = this.tree && x !== null ? this.nodeAt(x, y) : null;
+        this.hover(node ? node.id : null);
+    },
+
+    /**
+     * Highlight a node in the diagram and its region on the canvas. Hovering doesn't
+     * change the algorithm's state, so only the canvas and the diagram are redrawn.
+     * @param {number|null} id - Node id, or null for none
+     */
+    hover: function(id) {
+        if (id === this.hoveredNode) return;
+        
+        this.hoveredNode = id;
+        this.visualize(Visualization);
+        if (this.tree) {
+            this.drawDiagram(Charts);
+        }
+    },
+
     /**
      * Visualize
      */
@@ -333,11 +607,24 @@ const DecisionTree = {
             );
         });
         
+        // Region of the hovered node
+        const hovered = this.hoveredNode !== null ? this.findNode(this.hoveredNode) : null;
+        if (hovered) {
+            const b = hovered.bounds;
+            viz.drawRect(b.minX, b.minY, b.maxX - b.minX, b.maxY - b.minY, '#f59e0b', 0.2);
+        }
+        
         // Draw boundaries
-        const showBoundaries = Math.min(this.currentStep, this.boundaries.length);
-        for (let i = 0; i < showBoundaries; i++) {
-            const b = this.boundaries[i];
-            viz.drawDecisionBoundary(b.feature, b.threshold, b.bounds, '#8b5cf6');
+        this.boundaries.forEach(b => {
+            viz.drawDecisionBoundary(b.feature, b.threshold, b.bounds, '#1e293b');
+        });
+        
+        // Node being scanned, with the best candidate split
+        if (this.scan) {
+            const node = this.findNode(this.scan.nodeId);
+            const b = node.bounds;
+            viz.drawRect(b.minX, b.minY, b.maxX - b.minX, b.maxY - b.minY, '#8b5cf6', 0.1);
+            viz.drawDecisionBoundary(this.scan.best.feature, this.scan.best.threshold, b, '#f59e0b');
         }
         
         // Draw points
@@ -347,17 +634,134 @@ const DecisionTree = {
         });
     },
 
+    /**
+     * Draw auxiliary charts: the tree diagram, and the threshold scan while a node is being split
+     * @param {object} charts - Charts object
+     */
+    drawCharts: function(charts) {
+        if (!this.tree) return;
+        
+        this.drawDiagram(charts);
+        if (this.scan) {
+            this.drawScan(charts);
+        }
+    },
+
+    /**
+     * Draw the tree diagram; hovering a node highlights its region on the canvas
+     * @param {object} charts - Charts object
+     */
+    drawDiagram: function(charts) {
+        // Lay out the shown tree: leaves in slots left to right, parents centered over children
+        const nodes = [];
+        const edges = [];
+        let slots = 0;
+        let depth = 0;
+        const place = (node) => {
+            let x;
+            if (!node.isLeaf) {
+                const left = place(node.left);
+                const right = place(node.right);
+                x = (left.x + right.x) / 2;
+                edges.push({ from: { x, y: -node.depth }, to: left, text: '<' });
+                edges.push({ from: { x, y: -node.depth }, to: right, text: '≥' });
+            } else {
+                x = slots++;
+            }
+            depth = Math.max(depth, node.depth);
+            const entry = { node, x, y: -node.depth };
+            nodes.push(entry);
+            return entry;
+        };
+        place(this.tree);
+        
+        const chart = charts.panel('tree-diagram', 'Tree Diagram (hover a node)',
+                                   Math.max(320, slots * 76 + 60), (depth + 1) * 100 + 42);
+        charts.setRange(chart, -0.5, slots - 0.5, -depth - 0.5, 0.5);
+        
+        // Edges, labeled with the side of the threshold they take
+        const ctx = chart.ctx;
+        edges.forEach(edge => {
+            const from = charts.toCanvas(chart, edge.from.x, edge.from.y);
+            const to = charts.toCanvas(chart, edge.to.x, edge.to.y);
+            ctx.strokeStyle = '#94a3b8';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([]);
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y - 15);
+            ctx.lineTo(to.x, to.y - 15);
+            ctx.stroke();
+            charts.drawText(chart, edge.text, (from.x + to.x) / 2 + 4, (from.y + to.y) / 2 - 15);
+        });
+        
+        const scanned = this.scan ? this.scan.nodeId : null;
+        nodes.forEach(({ node, x, y }) => {
+            const pos = charts.toCanvas(chart, x, y);
+            charts.drawTreeNode(chart, node, pos.x, pos.y - 15, {
+                colors: this.classColors,
+                impurityName: this.criterionName(),
+                highlighted: node.id === this.hoveredNode || node.id === scanned
+            });
+        });
+        
+        chart.onHover = (point) => {
+            const entry = point && nodes.find(n => Math.abs(n.x - point.x) < 0.5 && Math.abs(n.y - point.y) < 0.5);
+            this.hover(entry ? entry.node.id : null);
+        };
+    },
+
+    /**
+     * Impurity left by every candidate threshold of the node being scanned, per axis
+     * @param {object} charts - Charts object
+     */
+    drawScan: function(charts) {
+        const { nodeId, x, y, best } = this.scan;
+        const node = this.findNode(nodeId);
+        const toPoints = (candidates) => candidates.map(c => ({ x: c.threshold, y: c.impurity }));
+        const all = x.concat(y);
+        
+        const chart = charts.panel('tree-threshold-scan', `Threshold Scan (node #${nodeId})`);
+        charts.setRange(chart, Math.min(...all.map(c => c.threshold)), Math.max(...all.map(c => c.threshold)),
+                        0, Math.max(node.impurity, ...all.map(c => c.impurity)) * 1.1);
+        charts.drawAxes(chart, 'threshold (px)', `weighted ${this.criterionName()}`);
+        
+        // Impurity before the split, for reference
+        charts.drawLine(chart, [{ x: chart.range.xMin, y: node.impurity }, { x: chart.range.xMax, y: node.impurity }],
+                        '#94a3b8', 1, true);
+        charts.drawLine(chart, toPoints(x), '#4f46e5');
+        charts.drawLine(chart, toPoints(y), '#10b981');
+        charts.drawMarker(chart, best.threshold, best.impurity, '#f59e0b', `best ${best.feature}`);
+        
+        const left = charts.plotArea(chart).left + 6;
+        charts.drawText(chart, 'x thresholds', left, 22, '#4f46e5');
+        charts.drawText(chart, 'y thresholds', left, 36, '#10b981');
+    },
+
     /**
      * Get stats
      */
     getStats: function() {
-        return {
+        const classes = new Set(this.points.map(p => p.label));
+        const correct = this.tree ? this.points.filter(p => this.predict(p.x, p.y) === p.label).length : 0;
+        
+        const stats = {
             'Points': this.points.length,
+            'Classes': classes.size,
+            'Training Accuracy': this.tree && this.points.length > 0
+                ? (correct / this.points.length * 100).toFixed(1) + '%' : '-',
+            'Criterion': this.criterionName(),
             'Max Depth': this.maxDepth,
             'Splits': this.boundaries.length,
             'Regions': this.regions.length,
+            'Nodes Left to Grow': this.frontier.length,
             'Step': this.currentStep
         };
+        
+        if (this.droppedPoints > 0) {
+            stats['Dropped Points'] = `${this.droppedPoints} (only ${this.maxClasses} classes supported)`;
+        }
+        
+        return stats;
     },
 
     /**
@@ -368,6 +772,10 @@ const DecisionTree = {
         this.boundaries = [];
         this.regions = [];
         this.currentStep = 0;
+        this.nodeCount = 0;
+        this.frontier = [];
+        this.scan = null;
+        this.hoveredNode = null;
     }
 };
 
@@ -0,0 +1,443 @@
+/**
+ * gmm.js
+ * Gaussian Mixture Model fitted with Expectation-Maximization (EM)
+ * Soft clustering: every point belongs to every component with some probability
+ */
+
+const GMM = {
+    // Data
+    points: [],
+    k: 3,                    // Number of components
+    
+    // Algorithm state
+    means: [],               // [{x, y}] per component
+    covariances: [],         // [{xx, xy, yy}] per component
+    weights: [],             // Mixing weights π, summing to 1
+    responsibilities: null,  // Per point, the probability of each component (null before the first E step)
+    logLikelihood: null,
+    llHistory: [],           // Log-likelihood after each E step
+    currentStep: 0,
+    iteration: 0,
+    maxIterations: 100,
+    tolerance: 1e-3,         // Stop when the log-likelihood improves by less than this
+    minVariance: 4,          // Added to each variance so a component can't collapse onto one point
+    isConverged: false,
+    
+    // Timeline: fields that make up a step's state, and those that animate smoothly
+    stateKeys: ['means', 'covariances', 'weights', 'responsibilities', 'logLikelihood',
+                'llHistory', 'currentStep', 'iteration', 'isConverged'],
+    tweenKeys: ['means', 'covariances', 'responsibilities'],
+
+    /**
+     * Algorithm explanation
+     */
+    explanation: {
+        title: "Gaussian Mixture Model (EM)",
+        description: `
+            <p>A GMM assumes the data comes from <strong>K Gaussian blobs</strong>, each with its own center, shape and share of the points.</p>
+            
+            <h4>🎯 Goal</h4>
+            <p>Find the means μ, covariances Σ and mixing weights π that make the data most likely (maximize the log-likelihood).</p>
+            <div class="formula-box">
+                log L = Σᵢ log Σⱼ πⱼ · N(xᵢ | μⱼ, Σⱼ)
+            </div>
+            
+            <h4>📊 How It Works</h4>
+            <ul>
+                <li><strong>Step 1:</strong> Place K means on random data points, with round covariances and equal weights</li>
+                <li><strong>E step:</strong> For each point, compute the responsibility rᵢⱼ: the probability that component j generated it</li>
+                <li><strong>M step:</strong> Re-estimate each component from all points, weighted by responsibility</li>
+                <li><strong>Step 4:</strong> Repeat until the log-likelihood stops improving</li>
+            </ul>
+            <div class="formula-box">
+                rᵢⱼ = πⱼ N(xᵢ | μⱼ, Σⱼ) / Σₗ πₗ N(xᵢ | μₗ, Σₗ)
+            </div>
+            <p>EM never lowers the log-likelihood, so the chart below only goes up.</p>
+            
+            <h4>🎨 Reading the Canvas</h4>
+            <ul>
+                <li><strong>Point color:</strong> a blend of the component colors, weighted by responsibility. Points between blobs get mixed colors.</li>
+                <li><strong>Ellipses:</strong> the solid ellipse is 1σ and the dashed one 2σ from the mean. Their shape and tilt come from Σ.</li>
+            </ul>
+            
+            <h4>🆚 Compared to K-Means</h4>
+            <p>K-Means is the "hard" special case: every point belongs to exactly one cluster and all clusters are round. A GMM can fit stretched, tilted and overlapping clusters.</p>
+        `
+    },
+
+    /**
+     * Parameters for UI
+     */
+    parameters: [
+        {
+            id: 'gmm-components',
+            name: 'Number of Components (K)',
+            min: 2,
+            max: 6,
+            step: 1,
+            default: 3,
+            description: 'How many Gaussians to fit'
+        }
+    ],
+
+    /**
+     * Initialize algorithm
+     * @param {Array} points - Data points
+     * @param {number} k - Number of components
+     */
+    init: function(points, k = 3) {
+        this.points = points.map(p => ({ x: p.x, y: p.y }));
+        this.k = Math.min(k, points.length);
+        this.reset();
+        
+        console.log('🔔 GMM initialized with', points.length, 'points, K =', this.k);
+    },
+
+    /**
+     * Place the means on K distinct random points, with round covariances
+     * as wide as the data and equal weights
+     */
+    initializeComponents: function() {
+        const n = this.points.length;
+        const meanX = this.points.reduce((sum, p) => sum + p.x, 0) / n;
+        const meanY = this.points.reduce((sum, p) => sum + p.y, 0) / n;
+        const variance = this.points.reduce((sum, p) =>
+            sum + Math.pow(p.x - meanX, 2) + Math.pow(p.y - meanY, 2), 0) / (2 * n) + this.minVariance;
+        
+        const indices = Random.shuffle(this.points.map((_, i) => i)).slice(0, this.k);
+        this.means = indices.map(i => ({ x: this.points[i].x, y: this.points[i].y }));
+        this.covariances = indices.map(() => ({ xx: variance, xy: 0, yy: variance }));
+        this.weights = new Array(this.k).fill(1 / this.k);
+    },
+
+    /**
+     * Log of the Gaussian density of a point under one component
+     * @param {object} point - {x, y}
+     * @param {number} j - Component index
+     */
+    logDensity: function(point, j) {
+        const { xx, xy, yy } = this.covariances[j];
+        const det = xx * yy - xy * xy;
+        const dx = point.x - this.means[j].x;
+        const dy = point.y - this.means[j].y;
+        
+        // Squared Mahalanobis distance (x - μ)ᵀ Σ⁻¹ (x - μ)
+        const mahalanobis = (yy * dx * dx - 2 * xy * dx * dy + xx * dy * dy) / det;
+        return -0.5 * mahalanobis - Math.log(2 * Math.PI) - 0.5 * Math.log(det);
+    },
+
+    /**
+     * E step: responsibilities of every component for every point,
+     * and the log-likelihood of the current parameters
+     */
+    expectation: function() {
+        let logLikelihood = 0;
+        
+        this.responsibilities = this.points.map(point => {
+            const logs = this.weights.map((w, j) => Math.log(w) + this.logDensity(point, j));
+            
+            // log-sum-exp keeps tiny densities from underflowing to 0
+            const max = Math.max(...logs);
+            const total = max + Math.log(logs.reduce((sum, l) => sum + Math.exp(l - max), 0));
+            logLikelihood += total;
+            
+            return logs.map(l => Math.exp(l - total));
+        });
+        
+        this.logLikelihood = logLikelihood;
+        this.llHistory.push(logLikelihood);
+    },
+
+    /**
+     * M step: weighted means, covariances and mixing weights
+     */
+    maximization: function() {
+        const n = this.points.length;
+        
+        for (let j = 0; j < this.k; j++) {
+            const r = this.responsibilities.map(row => row[j]);
+            const total = r.reduce((sum, v) => sum + v, 0);
+            
+            // A component that lost all its points keeps its old shape
+            if (total < 1e-9) {
+                this.weights[j] = 0;
+                continue;
+            }
+            
+            const mean = {
+                x: this.points.reduce((sum, p, i) => sum + r[i] * p.x, 0) / total,
+                y: this.points.reduce((sum, p, i) => sum + r[i] * p.y, 0) / total
+            };
+            
+            let xx = 0, xy = 0, yy = 0;
+            this.points.forEach((p, i) => {
+                const dx = p.x - mean.x;
+                const dy = p.y - mean.y;
+                xx += r[i] * dx * dx;
+                xy += r[i] * dx * dy;
+                yy += r[i] * dy * dy;
+            });
+            
+            this.means[j] = mean;
+            this.covariances[j] = {
+                xx: xx / total + this.minVariance,
+                xy: xy / total,
+                yy: yy / total + this.minVariance
+            };
+            this.weights[j] = total / n;
+        }
+    },
+
+    /**
+     * Whether the last E step improved the log-likelihood by less than the tolerance
+     */
+    hasConverged: function() {
+        const count = this.llHistory.length;
+        return count >= 2 && this.llHistory[count - 1] - this.llHistory[count - 2] < this.tolerance;
+    },
+
+    /**
+     * Component with the highest responsibility for each point
+     */
+    hardAssignments: function() {
+        if (!this.responsibilities) return new Array(this.points.length).fill(-1);
+        return this.responsibilities.map(row => row.indexOf(Math.max(...row)));
+    },
+
+    /**
+     * Axes of a covariance ellipse (eigen-decomposition of the 2×2 matrix)
+     * @param {object} covariance - {xx, xy, yy}
+     * @returns {object} {major, minor, angle}: standard deviations along the axes, angle in radians
+     */
+    ellipseAxes: function(covariance) {
+        const { xx, xy, yy } = covariance;
+        const center = (xx + yy) / 2;
+        const spread = Math.sqrt(Math.pow((xx - yy) / 2, 2) + xy * xy);
+        
+        return {
+            major: Math.sqrt(center + spread),
+            minor: Math.sqrt(Math.max(0, center - spread)),
+            angle: 0.5 * Math.atan2(2 * xy, xx - yy)
+        };
+    },
+
+    /**
+     * Run complete algorithm
+     */
+    run: function() {
+        if (this.points.length < this.k) {
+            console.warn('Not enough points for', this.k, 'components');
+            return;
+        }
+        
+        if (this.currentStep === 0) {
+            this.initializeComponents();
+        } else if (this.currentStep % 2 === 0 && !this.isConverged) {
+            // Stopped after an E step: finish that iteration first
+            this.maximization();
+            this.iteration++;
+        }
+        
+        while (!this.isConverged && this.iteration < this.maxIterations) {
+            this.expectation();
+            if (this.hasConverged()) {
+                this.isConverged = true;
+                break;
+            }
+            this.maximization();
+            this.iteration++;
+        }
+        
+        this.currentStep = Math.max(this.currentStep, 1);
+        
+        return {
+            means: this.means,
+            weights: this.weights,
+            iterations: this.iteration,
+            logLikelihood: this.logLikelihood
+        };
+    },
+
+    /**
+     * Execute single step: initialize, then alternate E and M steps
+     */
+    step: function() {
+        if (this.isConverged || this.iteration >= this.maxIterations) {
+            return this.summary();
+        }
+        
+        let stepInfo = {};
+        
+        if (this.currentStep === 0) {
+            this.initializeComponents();
+            stepInfo = {
+                step: 1,
+                title: "Initialize Components",
+                description: `Placed ${this.k} means on random data points.\n• Each starts as a round Gaussian as wide as the data\n• Mixing weights π = 1/${this.k}`,
+                highlight: 'components'
+            };
+        } else if (this.currentStep % 2 === 1) {
+            const previous = this.logLikelihood;
+            this.expectation();
+            
+            if (this.hasConverged()) {
+                this.isConverged = true;
+                this.currentStep++;
+                return this.summary();
+            }
+            
+            const uncertain = this.responsibilities.filter(row => Math.max(...row) < 0.9).length;
+            stepInfo = {
+                step: `Iteration ${this.iteration + 1} - E`,
+                title: "E Step: Compute Responsibilities",
+                description: `Each point's color now blends the components by how likely each one generated it.\n• Log-likelihood: ${previous === null ? '' : previous.toFixed(2) + ' → '}${this.logLikelihood.toFixed(2)}\n• ${uncertain} point(s) are less than 90% sure of their component`,
+                highlight: 'responsibilities'
+            };
+        } else {
+            this.maximization();
+            this.iteration++;
+            stepInfo = {
+                step: `Iteration ${this.iteration} - M`,
+                title: "M Step: Update Components",
+                description: `Re-estimated every Gaussian from all points, weighted by responsibility.\n• Means moved to the weighted averages\n• Ellipses reshaped to the weighted covariances\n• Weights π: ${this.weights.map(w => w.toFixed(2)).join(', ')}`,
+                highlight: 'components'
+            };
+        }
+        
+        this.currentStep++;
+        return stepInfo;
+    },
+
+    /**
+     * Final step information
+     */
+    summary: function() {
+        return {
+            step: 'Done',
+            title: this.isConverged ? "Converged!" : "Stopped",
+            description: this.isConverged
+                ? `EM converged after ${this.iteration} iterations.\nThe log-likelihood improved by less than ${this.tolerance}.\nFinal log-likelihood: ${this.logLikelihood.toFixed(2)}`
+                : `Reached the limit of ${this.maxIterations} iterations.\nLog-likelihood: ${this.logLikelihood.toFixed(2)}`,
+            highlight: 'complete'
+        };
+    },
+
+    /**
+     * Visualize current state
+     * @param {object} viz - Visualization object
+     */
+    visualize: function(viz) {
+        viz.clear();
+        viz.drawGrid();
+        
+        const colors = viz.colors.cluster;
+        const rgb = colors.map(color => [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16)));
+        
+        // 1σ and 2σ ellipses
+        this.covariances.forEach((covariance, j) => {
+            const color = colors[j % colors.length];
+            const { major, minor, angle } = this.ellipseAxes(covariance);
+            const mean = this.means[j];
+            viz.drawEllipse(mean.x, mean.y, 2 * major, 2 * minor, angle, color, true);
+            viz.drawEllipse(mean.x, mean.y, major, minor, angle, color, false, 0.12);
+        });
+        
+        // Points colored by a responsibility-weighted blend of the component colors
+        this.points.forEach((point, i) => {
+            const row = this.responsibilities && this.responsibilities[i];
+            if (!row) {
+                viz.drawPoint(point.x, point.y, viz.colors.point, 8);
+                return;
+            }
+            
+            const mixed = [0, 1, 2].map(c =>
+                Math.round(row.reduce((sum, r, j) => sum + r * rgb[j % rgb.length][c], 0)));
+            viz.drawPoint(point.x, point.y, `rgb(${mixed.join(', ')})`, 8);
+        });
+        
+        // Means
+        this.means.forEach((mean, j) => {
+            viz.drawCentroid(mean.x, mean.y, colors[j % colors.length], `G${j + 1}`);
+        });
+        
+        if (this.iteration > 0) {
+            viz.drawText(`Iteration: ${this.iteration}`, 10, 20, '#1e293b', 'bold 14px Poppins');
+            if (this.isConverged) {
+                viz.drawText('✓ Converged', 10, 40, '#10b981', 'bold 14px Poppins');
+            }
+        }
+    },
+
+    /**
+     * Draw auxiliary charts
+     * @param {object} charts - Charts object
+     */
+    drawCharts: function(charts) {
+        const history = this.llHistory;
+        if (history.length < 2) return;
+        
+        const chart = charts.panel('gmm-log-likelihood', 'Log-Likelihood vs Iteration');
+        const min = Math.min(...history);
+        const max = Math.max(...history);
+        const pad = Math.max(1, (max - min) * 0.1);
+        charts.setRange(chart, 0, history.length - 1, min - pad, max + pad);
+        charts.drawAxes(chart, 'iteration', 'log-likelihood');
+        charts.drawLine(chart, history.map((ll, i) => ({ x: i, y: ll })), '#4f46e5');
+        charts.drawDots(chart, history.map((ll, i) => ({ x: i, y: ll })), '#4f46e5');
+    },
+
+    /**
+     * Get statistics
+     */
+    getStats: function() {
+        const history = this.llHistory;
+        const change = history.length >= 2
+            ? history[history.length - 1] - history[history.length - 2]
+            : null;
+        
+        const stats = {
+            'Points': this.points.length,
+            'Components (K)': this.k,
+            'Iteration': this.iteration,
+            'Log-Likelihood': this.logLikelihood === null ? '-' : this.logLikelihood.toFixed(2),
+            'Δ Log-Likelihood': change === null ? '-' : (change >= 0 ? '+' : '') + change.toFixed(4),
+            'Converged': this.isConverged ? 'Yes ✓' : 'No'
+        };
+        
+        // Log-likelihood of each iteration so far (the latest few)
+        history.slice(-5).forEach((ll, i) => {
+            stats[`LL after iteration ${history.length - Math.min(5, history.length) + i}`] = ll.toFixed(2);
+        });
+        
+        // Mixing weight and hard-assigned size per component
+        const sizes = new Array(this.k).fill(0);
+        this.hardAssignments().forEach(a => {
+            if (a >= 0) sizes[a]++;
+        });
+        this.weights.forEach((w, j) => {
+            stats[`Component ${j + 1} (π / size)`] = `${w.toFixed(2)} / ${sizes[j]}`;
+        });
+        
+        return stats;
+    },
+
+    /**
+     * Reset algorithm
+     */
+    reset: function() {
+        this.means = [];
+        this.covariances = [];
+        this.weights = [];
+        this.responsibilities = null;
+        this.logLikelihood = null;
+        this.llHistory = [];
+        this.currentStep = 0;
+        this.iteration = 0;
+        this.isConverged = false;
+    }
+};
+
+// Make globally available
+window.GMM = GMM;
+
+console.log('🔔 GMM module loaded');
\ No newline at end of file
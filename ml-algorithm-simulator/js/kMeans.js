@@ -8,6 +8,7 @@ const KMeans = {
     // Data
     points: [],
     k: 3,                    // Number of clusters
+    requestedK: 3,           // K asked for; k can shrink when empty clusters are dropped
     
     // Algorithm state
     centroids: [],
@@ -19,8 +20,53 @@ const KMeans = {
     isConverged: false,
     isRunning: false,
     
-    // History for animation
-    history: [],
+    // Initialization
+    initMethod: 'random',    // random | uniform | forgy | kmeans++
+    seedProbabilities: null, // k-means++ D² sampling probabilities behind the last pick
+    
+    // Restarts (n_init)
+    nInit: 1,                // Independent initializations per run; the lowest WCSS wins
+    restarts: [],            // [{wcss, iterations, isConverged, centroids, assignments}] from the last run
+    selectedRestart: -1,     // Restart whose clustering is shown
+    
+    // Distance and center rule (K-Means, K-Medians, K-Medoids)
+    metric: 'euclidean',     // euclidean | manhattan | chebyshev | cosine
+    centerRule: 'mean',      // mean | median | medoid
+    origin: { x: 0, y: 0 },  // Center of the data, the origin for cosine distance
+    spread: 1,               // RMS distance of the points from the origin
+    
+    // What to do when a centroid ends up with no points
+    emptyStrategy: 'keep',   // keep | farthest | split | drop
+    
+    // Mini-batch mode
+    mode: 'full',            // full | minibatch
+    batchSize: 100,          // Points sampled per mini-batch
+    batch: [],               // Indices sampled in the last mini-batch
+    centerCounts: [],        // Points each center has absorbed so far; its learning rate is 1 / count
+    tolerance: 0.01,         // Mini-batch stops once centers move less than this fraction of the data spread
+    shiftAverage: null,      // Running average of the largest center move per batch, relative to spread
+    comparison: null,        // {full, minibatch}: [{time, cost}] per iteration from compareModes
+    
+    // Large point clouds
+    xs: new Float64Array(0), // Point coordinates as typed arrays for the hot loops
+    ys: new Float64Array(0),
+    maxPoints: 50000,        // Largest dataset this module accepts
+    largeData: 2000,         // Above this many points, draw a plain point cloud
+    silhouetteSampleSize: 1000, // Silhouettes are O(n²), so larger data is scored on a sample
+    
+    // Display
+    showVoronoi: false,      // Shade the region each centroid owns
+    showContours: false,     // Draw equal-distance contours around each centroid
+    
+    // Choosing K
+    maxK: 7,
+    analysis: null,          // [{k, wcss, silhouette, silhouettes, assignments, mode}] from analyzeK
+    
+    // Timeline: fields that make up a step's state, and those that animate smoothly
+    stateKeys: ['k', 'centroids', 'assignments', 'previousAssignments', 'currentStep',
+                'iteration', 'isConverged', 'seedProbabilities', 'restarts', 'selectedRestart',
+                'batch', 'centerCounts', 'shiftAverage'],
+    tweenKeys: ['centroids'],
 
     /**
      * Algorithm explanation
@@ -41,12 +87,74 @@ const KMeans = {
                 <li><strong>Step 4:</strong> Repeat until stable</li>
             </ul>
             
+            <h4>🎲 Initialization</h4>
+            <p>Where the centroids start decides where they end up:</p>
+            <ul>
+                <li><strong>Random points:</strong> K distinct data points</li>
+                <li><strong>Uniform in bounds:</strong> anywhere in the box around the data, so a centroid may start far from every point</li>
+                <li><strong>Forgy (random partition):</strong> give every point a random cluster and start from those means, which all land near the center of the data</li>
+                <li><strong>k-means++:</strong> first centroid at a random point, then each next one is picked with probability proportional to D², the squared distance to the nearest centroid chosen so far</li>
+            </ul>
+            <div class="formula-box">
+                P(pick xᵢ) = D(xᵢ)² / Σⱼ D(xⱼ)²
+            </div>
+            <p>k-means++ spreads the centroids out and usually converges faster to a better WCSS.</p>
+            
+            <h4>🔁 Multiple Restarts</h4>
+            <p>K-Means only finds a <strong>local minimum</strong> of WCSS: a bad start can leave two centroids sharing one blob while another centroid covers two. With <strong>Restarts (n_init)</strong> above 1, Run clusters the data that many times from different starts and keeps the run with the lowest WCSS. Click a row of the restarts table to see any run's result. Stepping always shows a single start.</p>
+            
+            <h4>📏 Distance and Centers</h4>
+            <p>"Nearest" depends on how distance is measured, and the best center of a cluster depends on what is being minimized:</p>
+            <ul>
+                <li><strong>Euclidean:</strong> straight-line distance. Equal-distance contours are circles.</li>
+                <li><strong>Manhattan:</strong> |Δx| + |Δy|, like walking a city grid. Contours are diamonds.</li>
+                <li><strong>Chebyshev:</strong> max(|Δx|, |Δy|). Contours are squares.</li>
+                <li><strong>Cosine:</strong> 1 - cos θ, where θ is the angle between two points seen from the center of the data. Only direction matters, so clusters become wedges.</li>
+            </ul>
+            <ul>
+                <li><strong>Mean (K-Means):</strong> minimizes the sum of squared distances (WCSS)</li>
+                <li><strong>Median (K-Medians):</strong> the coordinate-wise median minimizes the total Manhattan distance and is robust to outliers</li>
+                <li><strong>Medoid (K-Medoids):</strong> the cluster's own point with the smallest total distance to the others (the PAM-style update). Works with any metric, and the center is always a real data point.</li>
+            </ul>
+            <p>With a median or medoid, the cost shown is the total distance instead of WCSS. Turn on <strong>Distance Contours</strong> to see each centroid's contours at its cluster's average distance and twice that.</p>
+            
+            <h4>🕳️ Empty Clusters</h4>
+            <p>A centroid can end up with <strong>no points at all</strong>, e.g. when it starts away from the data and every point is closer to another centroid. The mean of nothing is undefined, so something has to be decided:</p>
+            <ul>
+                <li><strong>Keep in place:</strong> leave it where it is. It usually stays empty for good, so you get fewer clusters than K.</li>
+                <li><strong>Re-seed at farthest point:</strong> move it onto the point farthest from its own centroid, the worst-fitting point</li>
+                <li><strong>Split largest cluster:</strong> move it onto the point of the biggest cluster that is farthest from that cluster's center, so the next assign step divides it in two</li>
+                <li><strong>Drop it:</strong> remove the centroid and carry on with K - 1 clusters</li>
+            </ul>
+            <p>Try the <strong>Two Far Clumps</strong> dataset with K = 3 and Forgy or uniform initialization: all centroids start between the clumps, each clump goes to a single centroid, and the third one is left empty. (Random points and k-means++ start on data points, so every centroid owns at least its own point at first.)</p>
+            
+            <h4>⚡ Mini-Batch K-Means</h4>
+            <p>Every full iteration touches every point. With <strong>Mini-batch</strong> mode, each step samples a small random batch instead and nudges each sampled point's nearest center toward it, with a learning rate of 1 / (points that center has absorbed so far). Centers settle down as they absorb more points.</p>
+            <div class="formula-box">
+                c ← c + (x - c) / count(c)
+            </div>
+            <p>Each step is far cheaper, at the cost of a slightly worse final cost. Load <strong>50,000 Points</strong> and press <strong>Compare Full vs Mini-batch</strong> to chart the cost of both modes against running time. Mini-batch always moves centers toward points like a running mean, whatever the center rule.</p>
+            
+            <h4>🔢 Choosing K</h4>
+            <p><strong>Analyze K</strong> clusters the data for every K from 2 to 7:</p>
+            <ul>
+                <li><strong>Elbow:</strong> WCSS always falls as K grows. Look for the "elbow" where adding a cluster stops helping much.</li>
+                <li><strong>Silhouette:</strong> for each point, compare a = mean distance to its own cluster with b = mean distance to the nearest other cluster.</li>
+            </ul>
+            <div class="formula-box">
+                s(i) = (b - a) / max(a, b)
+            </div>
+            <p>s near 1 means well placed, near 0 means on a border, negative means probably in the wrong cluster. The K with the highest mean silhouette is a good candidate. Click a K on either chart to load it.</p>
+            
+            <h4>🗺️ Voronoi Regions</h4>
+            <p>Turn on <strong>Shade Voronoi Regions</strong> to color every spot on the canvas by its nearest centroid. Each cell is the territory a centroid "owns": the assign step gives each point the color of the cell it falls in, and the update step moves the centroids, which redraws the borders.</p>
+            
             <h4>🔄 Convergence</h4>
             <p>The algorithm stops when centroids stop moving (assignments don't change).</p>
             
             <h4>⚠️ Things to Note</h4>
             <ul>
-                <li>Different starting positions may give different results</li>
+                <li>Different starting positions may give different results (change the Random Seed to try another start)</li>
                 <li>K must be chosen beforehand</li>
                 <li>Works best with spherical clusters</li>
             </ul>
@@ -66,6 +174,34 @@ const KMeans = {
             default: 3,
             description: 'How many groups to create'
         },
+        {
+            id: 'analyze-k',
+            name: '📊 Analyze K',
+            type: 'button',
+            description: 'Cluster with K = 2 to 7 and chart the elbow and silhouette scores'
+        },
+        {
+            id: 'kmeans-init',
+            name: 'Initialization',
+            type: 'select',
+            default: 'random',
+            options: [
+                { value: 'random', label: 'Random data points' },
+                { value: 'uniform', label: 'Random uniform in bounds' },
+                { value: 'forgy', label: 'Forgy (random partition)' },
+                { value: 'kmeans++', label: 'k-means++' }
+            ],
+            description: 'How the first centroids are placed'
+        },
+        {
+            id: 'n-init',
+            name: 'Restarts (n_init)',
+            min: 1,
+            max: 10,
+            step: 1,
+            default: 1,
+            description: 'Independent runs on Run; the lowest WCSS is kept'
+        },
         {
             id: 'max-iterations',
             name: 'Max Iterations',
@@ -74,6 +210,84 @@ const KMeans = {
             step: 10,
             default: 50,
             description: 'Maximum steps before stopping'
+        },
+        {
+            id: 'kmeans-mode',
+            name: 'Update Mode',
+            type: 'select',
+            default: 'full',
+            options: [
+                { value: 'full', label: 'Full batch (all points)' },
+                { value: 'minibatch', label: 'Mini-batch' }
+            ],
+            description: 'Use every point per iteration, or a random sample'
+        },
+        {
+            id: 'batch-size',
+            name: 'Batch Size',
+            min: 10,
+            max: 1000,
+            step: 10,
+            default: 100,
+            description: 'Points sampled per mini-batch step'
+        },
+        {
+            id: 'compare-modes',
+            name: '⏱ Compare Full vs Mini-batch',
+            type: 'button',
+            description: 'Run both modes from the same start and chart cost against time'
+        },
+        {
+            id: 'kmeans-empty',
+            name: 'Empty Clusters',
+            type: 'select',
+            default: 'keep',
+            options: [
+                { value: 'keep', label: 'Keep in place' },
+                { value: 'farthest', label: 'Re-seed at farthest point' },
+                { value: 'split', label: 'Split largest cluster' },
+                { value: 'drop', label: 'Drop it (reduce K)' }
+            ],
+            description: 'What happens to a centroid that loses all its points'
+        },
+        {
+            id: 'kmeans-metric',
+            name: 'Distance Metric',
+            type: 'select',
+            default: 'euclidean',
+            options: [
+                { value: 'euclidean', label: 'Euclidean' },
+                { value: 'manhattan', label: 'Manhattan' },
+                { value: 'chebyshev', label: 'Chebyshev' },
+                { value: 'cosine', label: 'Cosine (from data center)' }
+            ],
+            description: 'How distance to a centroid is measured'
+        },
+        {
+            id: 'kmeans-center',
+            name: 'Center Update',
+            type: 'select',
+            default: 'mean',
+            options: [
+                { value: 'mean', label: 'Mean (K-Means)' },
+                { value: 'median', label: 'Median (K-Medians)' },
+                { value: 'medoid', label: 'Medoid (K-Medoids)' }
+            ],
+            description: 'Where each center moves in the update step'
+        },
+        {
+            id: 'show-contours',
+            name: 'Distance Contours',
+            type: 'checkbox',
+            default: false,
+            description: 'Draw equal-distance contours around each centroid'
+        },
+        {
+            id: 'show-voronoi',
+            name: 'Shade Voronoi Regions',
+            type: 'checkbox',
+            default: false,
+            description: 'Color the canvas by nearest centroid'
         }
     ],
 
@@ -83,29 +297,80 @@ const KMeans = {
      * @param {number} k - Number of clusters
      */
     init: function(points, k = 3) {
+        // An analysis of K stays valid while the data is the same
+        if (!this.samePoints(points)) {
+            this.analysis = null;
+        }
+        
         this.points = [...points];
+        this.xs = Float64Array.from(points, p => p.x);
+        this.ys = Float64Array.from(points, p => p.y);
+        this.requestedK = k;
         this.k = Math.min(k, points.length); // Can't have more clusters than points
+        this.origin = points.length > 0 ? {
+            x: this.xs.reduce((sum, x) => sum + x, 0) / points.length,
+            y: this.ys.reduce((sum, y) => sum + y, 0) / points.length
+        } : { x: 0, y: 0 };
+        this.spread = points.length > 0 ? Math.sqrt(points.reduce((sum, p) =>
+            sum + Math.pow(p.x - this.origin.x, 2) + Math.pow(p.y - this.origin.y, 2), 0) / points.length) || 1 : 1;
         this.centroids = [];
-        this.assignments = new Array(points.length).fill(-1);
+        this.assignments = new Int32Array(points.length).fill(-1);
         this.previousAssignments = [];
         this.currentStep = 0;
         this.iteration = 0;
         this.isConverged = false;
         this.isRunning = false;
-        this.history = [];
+        this.seedProbabilities = null;
+        this.restarts = [];
+        this.selectedRestart = -1;
+        this.batch = [];
+        this.centerCounts = [];
+        this.shiftAverage = null;
+        this.comparison = null;
         
         console.log('🎯 K-Means initialized with', points.length, 'points, K =', this.k);
     },
 
     /**
-     * Initialize centroids randomly from data points
+     * Whether points are the same as the current data
+     * @param {Array} points - Data points
+     */
+    samePoints: function(points) {
+        return points.length === this.points.length &&
+            points.every((p, i) => p.x === this.points[i].x && p.y === this.points[i].y);
+    },
+
+    /**
+     * Initialize centroids with the selected method
      */
     initializeCentroids: function() {
+        switch(this.initMethod) {
+            case 'uniform':
+                this.initializeUniform();
+                break;
+            case 'forgy':
+                this.initializeForgy();
+                break;
+            case 'kmeans++':
+                this.centroids = [];
+                while (this.centroids.length < this.k) {
+                    this.addPlusPlusCentroid();
+                }
+                break;
+            default:
+                this.initializeRandomPoints();
+        }
+    },
+
+    /**
+     * Initialize centroids randomly from data points
+     */
+    initializeRandomPoints: function() {
         this.centroids = [];
         const usedIndices = new Set();
         
         while (this.centroids.length < this.k) {
-            const randomIndex = Math.floor(Math.random() * this.points.length);
+            const randomIndex = Random.int(this.points.length);
             
             if (!usedIndices.has(randomIndex)) {
                 usedIndices.add(randomIndex);
@@ -120,10 +385,149 @@ const KMeans = {
     },
 
     /**
-     * Calculate Euclidean distance between two points
+     * Initialize centroids uniformly at random inside the data's bounding box
+     */
+    initializeUniform: function() {
+        // Plain loops: spreading 50k values into Math.min can overflow the call stack
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (let i = 0; i < this.xs.length; i++) {
+            minX = Math.min(minX, this.xs[i]);
+            maxX = Math.max(maxX, this.xs[i]);
+            minY = Math.min(minY, this.ys[i]);
+            maxY = Math.max(maxY, this.ys[i]);
+        }
+        
+        this.centroids = [];
+        for (let i = 0; i < this.k; i++) {
+            this.centroids.push({
+                x: Random.range(minX, maxX),
+                y: Random.range(minY, maxY)
+            });
+        }
+    },
+
+    /**
+     * Forgy / random partition: assign every point to a random cluster,
+     * then start from the cluster means
+     */
+    initializeForgy: function() {
+        this.assignments = Int32Array.from(this.points, () => Random.int(this.k));
+        
+        // Make sure no cluster starts empty
+        const order = Random.shuffle(this.points.map((_, i) => i));
+        for (let j = 0; j < this.k; j++) {
+            this.assignments[order[j]] = j;
+        }
+        
+        this.centroids = new Array(this.k).fill(null).map(() => ({ x: 0, y: 0 }));
+        this.updateCentroids();
+    },
+
+    /**
+     * k-means++: add one centroid, sampled with probability proportional to D²
+     * (squared distance to the nearest centroid so far). The first pick is uniform.
+     * @returns {number} Index of the chosen point
+     */
+    addPlusPlusCentroid: function() {
+        const n = this.xs.length;
+        let probabilities;
+        if (this.centroids.length === 0) {
+            probabilities = new Array(n).fill(1 / n);
+        } else {
+            const squared = new Array(n);
+            let total = 0;
+            for (let i = 0; i < n; i++) {
+                let min = Infinity;
+                this.centroids.forEach(c => {
+                    const d = this.distanceXY(this.xs[i], this.ys[i], c.x, c.y);
+                    min = Math.min(min, d * d);
+                });
+                squared[i] = min;
+                total += min;
+            }
+            
+            // All points already sit on centroids: fall back to uniform
+            probabilities = total > 0
+                ? squared.map(d => d / total)
+                : new Array(n).fill(1 / n);
+        }
+        
+        // Roulette-wheel sampling
+        let r = Random.next();
+        let pick = probabilities.length - 1;
+        for (let i = 0; i < probabilities.length; i++) {
+            r -= probabilities[i];
+            if (r < 0) {
+                pick = i;
+                break;
+            }
+        }
+        
+        this.centroids.push({ x: this.points[pick].x, y: this.points[pick].y });
+        this.seedProbabilities = probabilities;
+        
+        return pick;
+    },
+
+    /**
+     * Distance between two points under the selected metric
      */
     distance: function(p1, p2) {
-        return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+        return this.distanceXY(p1.x, p1.y, p2.x, p2.y);
+    },
+
+    /**
+     * Distance between (x1, y1) and (x2, y2) under the selected metric,
+     * taking plain numbers so the hot loops don't build point objects
+     */
+    distanceXY: function(x1, y1, x2, y2) {
+        const dx = x1 - x2;
+        const dy = y1 - y2;
+        
+        switch(this.metric) {
+            case 'manhattan':
+                return Math.abs(dx) + Math.abs(dy);
+            case 'chebyshev':
+                return Math.max(Math.abs(dx), Math.abs(dy));
+            case 'cosine': {
+                // Angle between the two points as seen from the center of the data
+                const ax = x1 - this.origin.x, ay = y1 - this.origin.y;
+                const bx = x2 - this.origin.x, by = y2 - this.origin.y;
+                const norms = Math.sqrt(ax * ax + ay * ay) * Math.sqrt(bx * bx + by * by);
+                return norms > 0 ? 1 - (ax * bx + ay * by) / norms : 1;
+            }
+            default:
+                return Math.sqrt(dx * dx + dy * dy);
+        }
+    },
+
+    /**
+     * Index of the centroid nearest to a point
+     * @param {object} point - {x, y}
+     */
+    nearestCentroid: function(point) {
+        return this.nearestCentroidXY(point.x, point.y);
+    },
+
+    /**
+     * Index of the centroid nearest to (x, y)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    nearestCentroidXY: function(x, y) {
+        const centroids = this.centroids;
+        let minDist = Infinity;
+        let closestCentroid = 0;
+        
+        for (let j = 0; j < centroids.length; j++) {
+            const dist = this.distanceXY(x, y, centroids[j].x, centroids[j].y);
+            if (dist < minDist) {
+                minDist = dist;
+                closestCentroid = j;
+            }
+        }
+        
+        return closestCentroid;
     },
 
     /**
@@ -131,68 +535,419 @@ const KMeans = {
      * @returns {boolean} Whether any assignments changed
      */
     assignPoints: function() {
-        this.previousAssignments = [...this.assignments];
+        this.previousAssignments = this.assignments.slice();
+        const n = this.xs.length;
         let changed = false;
         
-        this.points.forEach((point, i) => {
-            let minDist = Infinity;
-            let closestCentroid = 0;
-            
-            this.centroids.forEach((centroid, j) => {
-                const dist = this.distance(point, centroid);
-                if (dist < minDist) {
-                    minDist = dist;
-                    closestCentroid = j;
-                }
-            });
+        for (let i = 0; i < n; i++) {
+            const closestCentroid = this.nearestCentroidXY(this.xs[i], this.ys[i]);
             
             if (this.assignments[i] !== closestCentroid) {
                 changed = true;
+                this.assignments[i] = closestCentroid;
             }
-            this.assignments[i] = closestCentroid;
-        });
+        }
         
         return changed;
     },
 
     /**
-     * Update centroids to be mean of assigned points
+     * Move each centroid to the center of its assigned points (mean, median or medoid)
+     * @returns {Array} What happened to each empty cluster (see handleEmptyClusters)
      */
     updateCentroids: function() {
+        const n = this.xs.length;
         const newCentroids = [];
+        const empty = [];
         
-        for (let i = 0; i < this.k; i++) {
-            const clusterPoints = this.points.filter((_, j) => this.assignments[j] === i);
-            
-            if (clusterPoints.length > 0) {
-                const meanX = clusterPoints.reduce((sum, p) => sum + p.x, 0) / clusterPoints.length;
-                const meanY = clusterPoints.reduce((sum, p) => sum + p.y, 0) / clusterPoints.length;
-                newCentroids.push({ x: meanX, y: meanY });
-            } else {
-                // Keep old centroid if no points assigned
-                newCentroids.push(this.centroids[i]);
+        if (this.centerRule === 'mean') {
+            // One pass accumulating per-cluster sums
+            const sumX = new Float64Array(this.k);
+            const sumY = new Float64Array(this.k);
+            const counts = new Int32Array(this.k);
+            for (let i = 0; i < n; i++) {
+                const a = this.assignments[i];
+                if (a < 0) continue;
+                sumX[a] += this.xs[i];
+                sumY[a] += this.ys[i];
+                counts[a]++;
+            }
+            
+            for (let j = 0; j < this.k; j++) {
+                if (counts[j] > 0) {
+                    newCentroids.push({ x: sumX[j] / counts[j], y: sumY[j] / counts[j] });
+                } else {
+                    newCentroids.push(this.centroids[j]);
+                    empty.push(j);
+                }
+            }
+        } else {
+            // Medians and medoids need each cluster's points: bucket them in one pass
+            const buckets = Array.from({ length: this.k }, () => []);
+            for (let i = 0; i < n; i++) {
+                if (this.assignments[i] >= 0) buckets[this.assignments[i]].push(this.points[i]);
             }
+            
+            buckets.forEach((clusterPoints, j) => {
+                if (clusterPoints.length > 0) {
+                    newCentroids.push(this.center(clusterPoints, this.centroids[j]));
+                } else {
+                    newCentroids.push(this.centroids[j]);
+                    empty.push(j);
+                }
+            });
         }
         
         this.centroids = newCentroids;
+        return empty.length > 0 ? this.handleEmptyClusters(empty) : [];
+    },
+
+    /**
+     * One mini-batch step: sample points and pull each one's nearest center toward it
+     * with a per-center learning rate of 1 / (points absorbed so far)
+     * @returns {number} Largest distance any center moved (pixels)
+     */
+    miniBatchStep: function() {
+        const n = this.xs.length;
+        const size = Math.min(this.batchSize, n);
+        if (this.centerCounts.length !== this.k) {
+            this.centerCounts = new Array(this.k).fill(0);
+        }
+        
+        // Sample with replacement, and find the nearest centers before any of them move
+        this.batch = [];
+        for (let b = 0; b < size; b++) {
+            this.batch.push(Random.int(n));
+        }
+        const nearest = this.batch.map(i => this.nearestCentroidXY(this.xs[i], this.ys[i]));
+        
+        const before = this.centroids.map(c => ({ x: c.x, y: c.y }));
+        this.centroids = before.map(c => ({ x: c.x, y: c.y }));
+        this.batch.forEach((i, b) => {
+            const j = nearest[b];
+            const center = this.centroids[j];
+            this.centerCounts[j]++;
+            const rate = 1 / this.centerCounts[j];
+            center.x += rate * (this.xs[i] - center.x);
+            center.y += rate * (this.ys[i] - center.y);
+        });
+        
+        this.iteration++;
+        const shift = Math.max(...this.centroids.map((c, j) =>
+            Math.sqrt(Math.pow(c.x - before[j].x, 2) + Math.pow(c.y - before[j].y, 2))));
+        
+        // A single batch can barely move the centers by chance, so test a running average.
+        // Moves shrink like 1 / (points absorbed), so a fixed pixel threshold might never be met.
+        const relative = shift / this.spread;
+        this.shiftAverage = this.shiftAverage === null ? relative : 0.7 * this.shiftAverage + 0.3 * relative;
+        if (this.shiftAverage < this.tolerance) {
+            this.isConverged = true;
+        }
+        
+        return shift;
+    },
+
+    /**
+     * Apply the empty-cluster strategy to centroids that have no points
+     * @param {Array} empty - Indices of the empty clusters
+     * @returns {Array} [{cluster, action, point, from}] one entry per empty cluster
+     */
+    handleEmptyClusters: function(empty) {
+        const taken = new Set();
+        
+        // Member of a cluster (or of any cluster) farthest from its own centroid
+        const farthestPoint = (cluster) => {
+            let best = -1;
+            let bestDist = -1;
+            this.points.forEach((point, i) => {
+                const own = this.assignments[i];
+                if (own < 0 || taken.has(i) || (cluster !== undefined && own !== cluster)) return;
+                const dist = this.distance(point, this.centroids[own]);
+                if (dist > bestDist) {
+                    bestDist = dist;
+                    best = i;
+                }
+            });
+            return best;
+        };
+        
+        switch(this.emptyStrategy) {
+            case 'farthest':
+                return empty.map(cluster => {
+                    const point = farthestPoint();
+                    if (point < 0) return { cluster, action: 'keep' };
+                    taken.add(point);
+                    this.centroids[cluster] = { x: this.points[point].x, y: this.points[point].y };
+                    return { cluster, action: 'farthest', point };
+                });
+                
+            case 'split': {
+                const sizes = new Array(this.k).fill(0);
+                this.assignments.forEach(a => {
+                    if (a >= 0) sizes[a]++;
+                });
+                
+                return empty.map(cluster => {
+                    const largest = sizes.indexOf(Math.max(...sizes));
+                    const point = sizes[largest] > 1 ? farthestPoint(largest) : -1;
+                    if (point < 0) return { cluster, action: 'keep' };
+                    taken.add(point);
+                    this.centroids[cluster] = { x: this.points[point].x, y: this.points[point].y };
+                    
+                    // Count the largest cluster as halved so a second empty cluster splits another one
+                    sizes[cluster] = Math.floor(sizes[largest] / 2);
+                    sizes[largest] -= sizes[cluster];
+                    return { cluster, action: 'split', point, from: largest };
+                });
+            }
+            
+            case 'drop': {
+                // Remove from the highest index down so the lower indices stay valid
+                [...empty].sort((a, b) => b - a).forEach(cluster => {
+                    this.centroids.splice(cluster, 1);
+                    const shift = (a) => a > cluster ? a - 1 : a;
+                    this.assignments = this.assignments.map(shift);
+                    this.previousAssignments = this.previousAssignments.map(shift);
+                });
+                this.k = this.centroids.length;
+                return empty.map(cluster => ({ cluster, action: 'drop' }));
+            }
+            
+            default:
+                return empty.map(cluster => ({ cluster, action: 'keep' }));
+        }
     },
 
     /**
-     * Calculate total within-cluster sum of squares (WCSS)
+     * Step text for the empty clusters handled in an update
+     * @param {Array} events - Result of handleEmptyClusters
+     */
+    describeEmptyClusters: function(events) {
+        return events.map(event => {
+            const name = `C${event.cluster + 1}`;
+            switch(event.action) {
+                case 'farthest':
+                    return `⚠️ ${name} had no points: re-seeded at point #${event.point + 1}, the worst-fitting point`;
+                case 'split':
+                    return `⚠️ ${name} had no points: moved to point #${event.point + 1} to split cluster C${event.from + 1}, the largest`;
+                case 'drop':
+                    return `⚠️ ${name} had no points: dropped, K is now ${this.k} (later clusters renumbered)`;
+                default:
+                    return `⚠️ ${name} has no points: kept in place, so it will likely stay empty`;
+            }
+        }).join('\n');
+    },
+
+    /**
+     * Center of a group of points under the selected rule
+     * @param {Array} clusterPoints - Points of one cluster
+     * @param {object} current - The cluster's current center, kept by sampled medoids unless beaten
+     * @returns {object} {x, y}
+     */
+    center: function(clusterPoints, current) {
+        switch(this.centerRule) {
+            case 'median': {
+                const median = (values) => {
+                    const sorted = [...values].sort((a, b) => a - b);
+                    const mid = Math.floor(sorted.length / 2);
+                    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+                };
+                return {
+                    x: median(clusterPoints.map(p => p.x)),
+                    y: median(clusterPoints.map(p => p.y))
+                };
+            }
+            case 'medoid': {
+                // The member with the smallest total distance to the others.
+                // Exact up to 500 points; larger clusters compare an even sample of their members.
+                // The sample shifts with membership, so its winner only replaces the current
+                // center if it is closer to the whole cluster (the PAM swap rule); otherwise
+                // the medoid would keep jumping and the assignments would never settle.
+                const sample = clusterPoints.length <= 500 ? clusterPoints
+                    : Array.from({ length: 500 }, (_, s) => clusterPoints[Math.floor(s * clusterPoints.length / 500)]);
+                let best = sample[0];
+                let bestTotal = Infinity;
+                sample.forEach(candidate => {
+                    const total = sample.reduce((sum, p) => sum + this.distance(candidate, p), 0);
+                    if (total < bestTotal) {
+                        bestTotal = total;
+                        best = candidate;
+                    }
+                });
+                if (sample !== clusterPoints && current) {
+                    const cost = (c) => clusterPoints.reduce((sum, p) => sum + this.distance(c, p), 0);
+                    if (cost(current) <= cost(best)) return { x: current.x, y: current.y };
+                }
+                return { x: best.x, y: best.y };
+            }
+            default:
+                return {
+                    x: clusterPoints.reduce((sum, p) => sum + p.x, 0) / clusterPoints.length,
+                    y: clusterPoints.reduce((sum, p) => sum + p.y, 0) / clusterPoints.length
+                };
+        }
+    },
+
+    /**
+     * Calculate the clustering cost: the within-cluster sum of squares (WCSS) for means,
+     * the total distance to the centers for medians and medoids
      */
     calculateWCSS: function() {
+        const squared = this.centerRule === 'mean';
         let wcss = 0;
         
-        this.points.forEach((point, i) => {
+        for (let i = 0; i < this.xs.length; i++) {
             const centroid = this.centroids[this.assignments[i]];
-            wcss += Math.pow(this.distance(point, centroid), 2);
-        });
+            if (!centroid) continue; // Not assigned yet
+            const dist = this.distanceXY(this.xs[i], this.ys[i], centroid.x, centroid.y);
+            wcss += squared ? dist * dist : dist;
+        }
         
         return wcss;
     },
 
     /**
-     * Run complete algorithm
+     * Cost of the current centroids with every point counted at its nearest one,
+     * whatever the stored assignments say
+     */
+    nearestCost: function() {
+        const squared = this.centerRule === 'mean';
+        let cost = 0;
+        
+        for (let i = 0; i < this.xs.length; i++) {
+            const centroid = this.centroids[this.nearestCentroidXY(this.xs[i], this.ys[i])];
+            const dist = this.distanceXY(this.xs[i], this.ys[i], centroid.x, centroid.y);
+            cost += squared ? dist * dist : dist;
+        }
+        
+        return cost;
+    },
+
+    /**
+     * Name of the cost calculateWCSS() returns
+     */
+    costName: function() {
+        return this.centerRule === 'mean' ? 'WCSS' : 'Total Distance';
+    },
+
+    /**
+     * Display name of the selected metric
+     */
+    metricName: function() {
+        return this.metric[0].toUpperCase() + this.metric.slice(1);
+    },
+
+    /**
+     * Silhouette score of every point: s = (b - a) / max(a, b)
+     * where a is the mean distance to its own cluster and b to the nearest other cluster
+     * Large datasets are scored within an even sample (see silhouetteSample).
+     * @param {Array} assignments - Cluster index of each point
+     * @returns {Array} Silhouette per sampled point (0 for points alone in their cluster)
+     */
+    silhouettes: function(assignments) {
+        const sample = this.silhouetteSample();
+        return sample.map((i) => {
+            const point = this.points[i];
+            const totals = {};
+            const counts = {};
+            sample.forEach((j) => {
+                if (i === j) return;
+                const cluster = assignments[j];
+                totals[cluster] = (totals[cluster] || 0) + this.distance(point, this.points[j]);
+                counts[cluster] = (counts[cluster] || 0) + 1;
+            });
+            
+            const own = assignments[i];
+            if (!counts[own]) return 0;
+            
+            const a = totals[own] / counts[own];
+            let b = Infinity;
+            for (const cluster in counts) {
+                if (parseInt(cluster) !== own) {
+                    b = Math.min(b, totals[cluster] / counts[cluster]);
+                }
+            }
+            if (!isFinite(b)) return 0;
+            
+            return (b - a) / Math.max(a, b);
+        });
+    },
+
+    /**
+     * Indices of the points scored by silhouettes: all of them, or every n-th point
+     * when there are more than silhouetteSampleSize
+     */
+    silhouetteSample: function() {
+        const n = this.points.length;
+        const size = Math.min(n, this.silhouetteSampleSize);
+        return Array.from({ length: size }, (_, s) => Math.floor(s * n / size));
+    },
+
+    /**
+     * Mean of an array of silhouette scores
+     */
+    meanSilhouette: function(scores) {
+        return scores.length > 0 ? scores.reduce((sum, s) => sum + s, 0) / scores.length : 0;
+    },
+
+    /**
+     * Cluster the data for K = 2..maxK and record WCSS and silhouette scores.
+     * Above largeData points every K is fitted in mini-batch mode so the page stays
+     * responsive; silhouettes are sampled as usual. The current run is left untouched.
+     * @returns {Array} Analysis per K
+     */
+    analyzeK: function() {
+        const saved = {
+            k: this.k,
+            requestedK: this.requestedK,
+            centroids: this.centroids,
+            assignments: this.assignments,
+            previousAssignments: this.previousAssignments,
+            currentStep: this.currentStep,
+            iteration: this.iteration,
+            isConverged: this.isConverged,
+            seedProbabilities: this.seedProbabilities,
+            restarts: this.restarts,
+            selectedRestart: this.selectedRestart,
+            batch: this.batch,
+            centerCounts: this.centerCounts,
+            shiftAverage: this.shiftAverage,
+            mode: this.mode
+        };
+        const randomState = Random.state;
+        
+        if (this.points.length > this.largeData) {
+            this.mode = 'minibatch';
+        }
+        
+        this.analysis = [];
+        for (let k = 2; k <= Math.min(this.maxK, this.points.length - 1); k++) {
+            // Every K starts from the seed, so the analysis is reproducible too
+            Random.reseed();
+            this.requestedK = k;
+            this.reset();
+            this.run();
+            
+            const silhouettes = this.silhouettes(this.assignments);
+            this.analysis.push({
+                k: k,
+                wcss: this.calculateWCSS(),
+                silhouette: this.meanSilhouette(silhouettes),
+                silhouettes: silhouettes,
+                assignments: [...this.assignments],
+                mode: this.mode
+            });
+        }
+        
+        Object.assign(this, saved);
+        Random.state = randomState;
+        
+        return this.analysis;
+    },
+
+    /**
+     * Run complete algorithm, nInit times from different starts when asked,
+     * keeping the run with the lowest WCSS
      */
     run: function() {
         if (this.points.length < this.k) {
@@ -200,22 +955,87 @@ const KMeans = {
             return;
         }
         
-        this.initializeCentroids();
+        if (this.nInit <= 1) {
+            this.restarts = [];
+            this.selectedRestart = -1;
+            return this.runOnce();
+        }
         
-        for (let i = 0; i < this.maxIterations; i++) {
-            const changed = this.assignPoints();
-            this.updateCentroids();
-            this.iteration = i + 1;
-            
-            // Save state for history
-            this.history.push({
-                centroids: JSON.parse(JSON.stringify(this.centroids)),
-                assignments: [...this.assignments]
+        // Each restart continues the random sequence, so each one starts differently
+        const restarts = [];
+        for (let r = 0; r < this.nInit; r++) {
+            this.reset();
+            this.runOnce();
+            restarts.push({
+                wcss: this.calculateWCSS(),
+                iterations: this.iteration,
+                isConverged: this.isConverged,
+                centroids: this.centroids,
+                assignments: this.assignments
             });
-            
-            if (!changed) {
-                this.isConverged = true;
-                break;
+        }
+        
+        this.restarts = restarts;
+        const best = this.bestRestart();
+        this.selectRestart(best);
+        
+        return {
+            centroids: this.centroids,
+            assignments: this.assignments,
+            iterations: this.iteration,
+            wcss: this.restarts[best].wcss,
+            restarts: this.restarts.map(run => run.wcss)
+        };
+    },
+
+    /**
+     * Show the final clustering of one restart
+     * @param {number} index - Restart index
+     */
+    selectRestart: function(index) {
+        const run = this.restarts[index];
+        if (!run) return;
+        
+        this.selectedRestart = index;
+        this.centroids = run.centroids.map(c => ({ ...c }));
+        this.assignments = run.assignments.slice();
+        this.previousAssignments = [];
+        this.iteration = run.iterations;
+        this.isConverged = run.isConverged;
+        this.seedProbabilities = null;
+        this.currentStep = 3;
+    },
+
+    /**
+     * Run the algorithm once from a fresh initialization
+     */
+    runOnce: function() {
+        // Clear the progress of any earlier run, including clusters the drop strategy removed
+        this.k = Math.min(this.requestedK, this.points.length);
+        this.previousAssignments = [];
+        this.iteration = 0;
+        this.isConverged = false;
+        this.seedProbabilities = null;
+        this.batch = [];
+        this.centerCounts = [];
+        this.shiftAverage = null;
+        this.initializeCentroids();
+        
+        if (this.mode === 'minibatch') {
+            while (!this.isConverged && this.iteration < this.maxIterations) {
+                this.miniBatchStep();
+            }
+            this.assignPoints();
+        } else {
+            for (let i = 0; i < this.maxIterations; i++) {
+                const changed = this.assignPoints();
+                this.updateCentroids();
+                this.iteration = i + 1;
+                
+                if (!changed) {
+                    this.isConverged = true;
+                    break;
+                }
             }
         }
         
@@ -235,15 +1055,69 @@ const KMeans = {
     step: function() {
         let stepInfo = {};
         
+        // k-means++ places its centroids one visible step at a time
+        if (this.initMethod === 'kmeans++' && this.currentStep === 0) {
+            if (this.centroids.length === 0) {
+                this.seedProbabilities = null;
+            }
+            
+            const pick = this.addPlusPlusCentroid();
+            const count = this.centroids.length;
+            if (count === this.k) {
+                this.currentStep++;
+            }
+            
+            return {
+                step: `Init ${count}/${this.k}`,
+                title: `k-means++: Pick Centroid ${count}`,
+                description: count === 1
+                    ? `The first centroid is a uniformly random point.\nEvery point had the same ${(100 / this.points.length).toFixed(1)}% chance.`
+                    : `Picked a point with probability ${(this.seedProbabilities[pick] * 100).toFixed(1)}%.\n• Rings show P = D² / ΣD² for this pick\n• Points far from every centroid are the most likely`,
+                highlight: 'centroids'
+            };
+        }
+        
+        // Mini-batch mode: once the centroids are placed, every step is one batch
+        if (this.mode === 'minibatch' && this.currentStep > 0) {
+            if (this.isConverged || this.iteration >= this.maxIterations) {
+                return {
+                    step: 'Done',
+                    title: this.isConverged ? "Converged!" : "Stopped",
+                    description: this.isConverged
+                        ? `Mini-batch converged after ${this.iteration} batches.\nCenters now move less than ${(this.tolerance * 100).toFixed(0)}% of the data spread (${(this.tolerance * this.spread).toFixed(2)} px) per batch on average.`
+                        : `Reached the limit of ${this.maxIterations} batches.`,
+                    highlight: 'complete'
+                };
+            }
+            
+            const shift = this.miniBatchStep();
+            this.assignPoints();
+            this.currentStep++;
+            
+            return {
+                step: `Batch ${this.iteration}`,
+                title: "Mini-Batch Update",
+                description: `Sampled ${this.batch.length} of ${this.points.length} points (ringed) and pulled each one's nearest center toward it by 1 / (points that center has absorbed).\n` +
+                    `Largest center move: ${shift.toFixed(2)} px\n${this.costName()}: ${this.calculateWCSS().toFixed(2)}` +
+                    (this.isConverged ? '\n✓ Centers have settled.' : ''),
+                highlight: this.isConverged ? 'complete' : 'centroids'
+            };
+        }
+        
         switch(this.currentStep % 3) {
             case 0:
                 if (this.iteration === 0) {
                     // First step: Initialize centroids
                     this.initializeCentroids();
+                    const descriptions = {
+                        random: `Placed ${this.k} centroids on random data points.`,
+                        uniform: `Placed ${this.k} centroids uniformly at random inside the data's bounding box.\nSome may start far from any point.`,
+                        forgy: `Gave every point a random cluster and placed ${this.k} centroids at those cluster means.\nThey all start near the center of the data.`
+                    };
                     stepInfo = {
                         step: 1,
                         title: "Initialize Centroids",
-                        description: `Placed ${this.k} random centroids.\nThese are the initial cluster centers.`,
+                        description: `${descriptions[this.initMethod]}\nThese are the initial cluster centers.`,
                         highlight: 'centroids'
                     };
                 } else {
@@ -274,27 +1148,28 @@ const KMeans = {
                 stepInfo = {
                     step: `Iteration ${this.iteration + 1} - Assign`,
                     title: "Assign Points to Clusters",
-                    description: `Each point assigned to its nearest centroid based on Euclidean distance.`,
+                    description: `Each point assigned to its nearest centroid based on ${this.metricName()} distance.`,
                     highlight: 'assignments'
                 };
                 break;
                 
             case 2:
                 // Update centroids
-                this.updateCentroids();
+                const emptyEvents = this.updateCentroids();
                 this.iteration++;
                 
-                // Save to history
-                this.history.push({
-                    centroids: JSON.parse(JSON.stringify(this.centroids)),
-                    assignments: [...this.assignments]
-                });
+                const updates = {
+                    mean: 'Centroids moved to the mean position of their cluster points.',
+                    median: 'Centroids moved to the coordinate-wise median of their cluster points.',
+                    medoid: 'Each center moved to the cluster point with the smallest total distance to the rest.'
+                };
                 
                 stepInfo = {
                     step: `Iteration ${this.iteration} - Update`,
-                    title: "Update Centroids",
-                    description: `Centroids moved to the mean position of their cluster points.\nWCSS: ${this.calculateWCSS().toFixed(2)}`,
-                    highlight: 'centroids'
+                    title: this.centerRule === 'medoid' ? "Update Medoids" : "Update Centroids",
+                    description: `${updates[this.centerRule]}\n${this.costName()}: ${this.calculateWCSS().toFixed(2)}` +
+                        (emptyEvents.length > 0 ? `\n${this.describeEmptyClusters(emptyEvents)}` : ''),
+                    highlight: emptyEvents.length > 0 ? 'empty' : 'centroids'
                 };
                 break;
         }
@@ -309,25 +1184,64 @@ const KMeans = {
      */
     visualize: function(viz) {
         viz.clear();
+        if (this.showVoronoi && this.centroids.length > 0) {
+            this.drawVoronoi(viz);
+        }
         viz.drawGrid();
         
         const colors = viz.colors.cluster;
+        const large = this.points.length > this.largeData;
+        
+        // k-means++ sampling probabilities: ring area ∝ probability
+        if (this.seedProbabilities && this.currentStep <= 1 && this.iteration === 0 && !large) {
+            const maxProbability = Math.max(...this.seedProbabilities);
+            this.points.forEach((point, i) => {
+                const share = this.seedProbabilities[i] / maxProbability;
+                if (share <= 0) return;
+                viz.drawPoint(point.x, point.y, viz.colors.highlight, 8 + 22 * Math.sqrt(share), false);
+                if (this.seedProbabilities[i] >= 0.05) {
+                    viz.drawText(`${(this.seedProbabilities[i] * 100).toFixed(0)}%`,
+                                 point.x + 12, point.y - 12, '#b45309', '11px Poppins');
+                }
+            });
+        }
         
         // Draw cluster connections (lines to centroids)
         if (this.centroids.length > 0 && this.assignments.some(a => a >= 0)) {
-            viz.drawClusterConnections(this.points, this.centroids, this.assignments);
+            if (!large) {
+                viz.drawClusterConnections(this.points, this.centroids, this.assignments);
+            }
+            if (this.showContours) {
+                this.drawContours(viz);
+            }
         }
         
         // Draw points with cluster colors
-        this.points.forEach((point, i) => {
-            const clusterIndex = this.assignments[i];
-            const color = clusterIndex >= 0 ? colors[clusterIndex % colors.length] : viz.colors.point;
-            viz.drawPoint(point.x, point.y, color, 8);
-        });
+        if (large) {
+            viz.drawPointCloud(this.xs, this.ys, this.assignments, colors, viz.colors.point);
+        } else {
+            this.points.forEach((point, i) => {
+                const clusterIndex = this.assignments[i];
+                const color = clusterIndex >= 0 ? colors[clusterIndex % colors.length] : viz.colors.point;
+                viz.drawPoint(point.x, point.y, color, 8);
+            });
+        }
         
-        // Draw centroids
+        // Points sampled by the last mini-batch
+        if (this.mode === 'minibatch' && this.currentStep > 0) {
+            this.batch.forEach(i => {
+                viz.drawPoint(this.xs[i], this.ys[i], '#1e293b', large ? 3 : 12, !large);
+            });
+        }
+        
+        // Draw centroids, flagging any that own no points
+        const assigned = this.assignments.some(a => a >= 0);
         this.centroids.forEach((centroid, i) => {
             viz.drawCentroid(centroid.x, centroid.y, colors[i % colors.length], `C${i + 1}`);
+            if (assigned && !this.assignments.includes(i)) {
+                viz.drawCircle(centroid.x, centroid.y, 22, '#ef4444', true);
+                viz.drawText('empty', centroid.x + 24, centroid.y + 4, '#ef4444', 'bold 12px Poppins');
+            }
         });
         
         // Draw iteration info
@@ -337,6 +1251,314 @@ const KMeans = {
                 viz.drawText('✓ Converged', 10, 40, '#10b981', 'bold 14px Poppins');
             }
         }
+        
+        if (this.mode === 'minibatch') {
+            viz.drawText(`Mini-batch (${this.batchSize} points per batch)`, 10, 80, '#1e293b', '12px Poppins');
+        }
+        
+        if (this.selectedRestart >= 0) {
+            const best = this.bestRestart() === this.selectedRestart ? ' (best)' : '';
+            viz.drawText(`Restart ${this.selectedRestart + 1} of ${this.restarts.length}${best}`,
+                         10, 60, '#1e293b', 'bold 14px Poppins');
+        }
+    },
+
+    /**
+     * Equal-distance contours around each centroid, at its cluster's average distance
+     * and twice that: circles, diamonds or squares depending on the metric.
+     * Cosine distance only depends on direction, so its contours are rays from the data center.
+     * @param {object} viz - Visualization object
+     */
+    drawContours: function(viz) {
+        const colors = viz.colors.cluster;
+        
+        this.centroids.forEach((centroid, j) => {
+            const members = this.points.filter((_, i) => this.assignments[i] === j);
+            if (members.length === 0) return;
+            
+            const level = members.reduce((sum, p) => sum + this.distance(p, centroid), 0) / members.length;
+            const color = colors[j % colors.length];
+            
+            if (this.metric === 'cosine') {
+                const base = Math.atan2(centroid.y - this.origin.y, centroid.x - this.origin.x);
+                [level, 2 * level].forEach(d => {
+                    const spread = Math.acos(Math.max(-1, 1 - d));
+                    [base - spread, base + spread].forEach(angle => {
+                        viz.drawLine(this.origin.x, this.origin.y,
+                                     this.origin.x + 1000 * Math.cos(angle), this.origin.y + 1000 * Math.sin(angle),
+                                     color, d === level ? 2 : 1, true);
+                    });
+                });
+                return;
+            }
+            
+            // Walk around the centroid: along each direction u the distance grows as |u| in this metric
+            [level, 2 * level].forEach(d => {
+                const outline = [];
+                for (let a = 0; a < 72; a++) {
+                    const u = { x: Math.cos(a * Math.PI / 36), y: Math.sin(a * Math.PI / 36) };
+                    const scale = d / this.distance({ x: 0, y: 0 }, u);
+                    outline.push({ x: centroid.x + u.x * scale, y: centroid.y + u.y * scale });
+                }
+                viz.drawPolygon(outline, color, d === level ? 0.08 : 0, true);
+            });
+        });
+        
+        if (this.metric === 'cosine') {
+            viz.drawText('+', this.origin.x - 5, this.origin.y + 5, '#1e293b', 'bold 16px Poppins');
+        }
+    },
+
+    /**
+     * Shade the Voronoi cell of each centroid, with darker borders where two cells meet
+     * @param {object} viz - Visualization object
+     */
+    drawVoronoi: function(viz) {
+        // Light fill per cell and a stronger shade for borders, computed once
+        const shade = (color, strength) => [1, 3, 5].map(i => {
+            const channel = parseInt(color.slice(i, i + 2), 16);
+            return 255 + (channel - 255) * strength;
+        });
+        const colors = viz.colors.cluster;
+        const fills = this.centroids.map((_, j) => shade(colors[j % colors.length], 0.18));
+        const borders = this.centroids.map((_, j) => shade(colors[j % colors.length], 0.55));
+        
+        // Owner of every cell under the selected metric, so any metric's borders show up
+        const cell = 2;
+        const cols = Math.ceil(viz.width / cell);
+        const rows = Math.ceil(viz.height / cell);
+        const owners = new Int8Array(cols * rows);
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                owners[r * cols + c] = this.nearestCentroid({ x: (c + 0.5) * cell, y: (r + 0.5) * cell });
+            }
+        }
+        
+        viz.drawField((x, y) => {
+            const c = Math.floor(x / cell);
+            const r = Math.floor(y / cell);
+            const owner = owners[r * cols + c];
+            
+            // A cell next to one owned by another centroid lies on a border
+            const differs = (cc, rr) => cc >= 0 && cc < cols && rr >= 0 && rr < rows &&
+                owners[rr * cols + cc] !== owner;
+            if (differs(c + 1, r) || differs(c - 1, r) || differs(c, r + 1) || differs(c, r - 1)) {
+                return borders[owner];
+            }
+            
+            return fills[owner];
+        }, cell);
+    },
+
+    /**
+     * Draw auxiliary charts: elbow and silhouette analysis
+     * @param {object} charts - Charts object
+     */
+    drawCharts: function(charts) {
+        if (this.restarts.length > 1) {
+            this.drawRestarts(charts);
+        }
+        
+        if (this.comparison) {
+            this.drawComparison(charts);
+        }
+        
+        if (!this.analysis || this.analysis.length === 0) return;
+        
+        const analysis = this.analysis;
+        const kMin = analysis[0].k;
+        const kMax = analysis[analysis.length - 1].k;
+        const pickK = (point) => {
+            const k = Math.min(kMax, Math.max(kMin, Math.round(point.x)));
+            setParameter('k-clusters', k);
+        };
+        
+        // Fits and scores that were approximated on large data
+        const fitted = analysis[0].mode === 'minibatch' ? ', mini-batch fits' : '';
+        const scored = this.silhouetteSample().length < this.points.length ? ' (sampled)' : '';
+        
+        // Elbow: WCSS per K
+        const elbow = charts.panel('kmeans-elbow', `Elbow Method (${this.costName()} vs K${fitted})`);
+        const wcss = analysis.map(a => ({ x: a.k, y: a.wcss }));
+        charts.setRange(elbow, kMin, Math.max(kMax, kMin + 1), 0, Math.max(...wcss.map(p => p.y)) * 1.1);
+        charts.drawAxes(elbow, 'K', this.costName());
+        charts.drawLine(elbow, [{ x: this.k, y: 0 }, { x: this.k, y: elbow.range.yMax }], '#94a3b8', 1, true);
+        charts.drawLine(elbow, wcss, '#4f46e5');
+        charts.drawDots(elbow, wcss, '#4f46e5', 4);
+        elbow.onClick = pickK;
+        
+        // Mean silhouette per K, best one starred
+        const silhouette = charts.panel('kmeans-silhouette-k', `Mean Silhouette vs K${scored}`);
+        const scores = analysis.map(a => ({ x: a.k, y: a.silhouette }));
+        const best = analysis.reduce((top, a) => a.silhouette > top.silhouette ? a : top);
+        charts.setRange(silhouette, kMin, Math.max(kMax, kMin + 1),
+                        Math.min(0, ...scores.map(p => p.y)), 1);
+        charts.drawAxes(silhouette, 'K', 'mean silhouette');
+        charts.drawLine(silhouette, [{ x: this.k, y: silhouette.range.yMin }, { x: this.k, y: 1 }], '#94a3b8', 1, true);
+        charts.drawLine(silhouette, scores, '#10b981');
+        charts.drawDots(silhouette, scores, '#10b981', 4);
+        charts.drawMarker(silhouette, best.k, best.silhouette, '#f59e0b', `best K = ${best.k}`);
+        silhouette.onClick = pickK;
+        
+        // Per-point silhouettes for the chosen K: the current clustering if there is one
+        const clustered = this.iteration > 0 && this.assignments.every(a => a >= 0);
+        const entry = analysis.find(a => a.k === this.k);
+        if (!clustered && !entry) return;
+        
+        const assignments = clustered ? this.assignments : entry.assignments;
+        const values = clustered ? this.silhouettes(assignments) : entry.silhouettes;
+        const sample = this.silhouetteSample();
+        const mean = this.meanSilhouette(values);
+        const colors = Visualization.colors.cluster;
+        
+        // Group by cluster, best first within each group
+        const bars = [];
+        let row = 0;
+        for (let c = 0; c < this.k; c++) {
+            values
+                .map((value, i) => ({ value, cluster: assignments[sample[i]] }))
+                .filter(v => v.cluster === c)
+                .sort((a, b) => b.value - a.value)
+                .forEach(v => {
+                    bars.push({ y0: row, y1: row + 0.9, x: v.value, color: colors[c % colors.length] });
+                    row++;
+                });
+            row += 1; // gap between clusters
+        }
+        
+        const sampled = sample.length < this.points.length ? `, sample of ${sample.length}` : '';
+        const plot = charts.panel('kmeans-silhouette', `Silhouette Plot (K = ${this.k}${sampled})`);
+        charts.setRange(plot, Math.min(-0.2, ...values), 1, 0, Math.max(1, row - 1));
+        charts.drawAxes(plot, 'silhouette', 'points by cluster');
+        charts.drawHorizontalBars(plot, bars, Visualization.colors.point);
+        charts.drawLine(plot, [{ x: 0, y: 0 }, { x: 0, y: plot.range.yMax }], '#94a3b8', 1);
+        charts.drawLine(plot, [{ x: mean, y: 0 }, { x: mean, y: plot.range.yMax }], '#ef4444', 1.5, true);
+        charts.drawText(plot, `mean = ${mean.toFixed(2)}`, charts.plotArea(plot).left + 6, 22, '#ef4444');
+    },
+
+    /**
+     * Cluster the data once in full-batch mode and once in mini-batch mode from the same
+     * seed, recording the cost after every iteration against the time spent so far.
+     * Only the algorithm's own work is timed, not the cost evaluations.
+     * The current run is left untouched.
+     * @returns {object} {full, minibatch}: arrays of {time, cost}
+     */
+    compareModes: function() {
+        const saved = {
+            k: this.k,
+            requestedK: this.requestedK,
+            centroids: this.centroids,
+            assignments: this.assignments,
+            previousAssignments: this.previousAssignments,
+            currentStep: this.currentStep,
+            iteration: this.iteration,
+            isConverged: this.isConverged,
+            seedProbabilities: this.seedProbabilities,
+            restarts: this.restarts,
+            selectedRestart: this.selectedRestart,
+            batch: this.batch,
+            centerCounts: this.centerCounts,
+            shiftAverage: this.shiftAverage,
+            mode: this.mode
+        };
+        const randomState = Random.state;
+        
+        const trace = (mode) => {
+            Random.reseed();
+            this.mode = mode;
+            this.reset();
+            
+            let time = performance.now();
+            this.initializeCentroids();
+            let elapsed = performance.now() - time;
+            const history = [{ time: elapsed, cost: this.nearestCost() }];
+            
+            while (!this.isConverged && this.iteration < this.maxIterations) {
+                time = performance.now();
+                if (mode === 'minibatch') {
+                    this.miniBatchStep();
+                } else {
+                    const changed = this.assignPoints();
+                    this.updateCentroids();
+                    this.iteration++;
+                    this.isConverged = !changed;
+                }
+                elapsed += performance.now() - time;
+                history.push({ time: elapsed, cost: this.nearestCost() });
+            }
+            
+            return history;
+        };
+        
+        this.comparison = {
+            full: trace('full'),
+            minibatch: trace('minibatch'),
+            batchSize: this.batchSize
+        };
+        
+        Object.assign(this, saved);
+        Random.state = randomState;
+        
+        return this.comparison;
+    },
+
+    /**
+     * Cost against running time for both modes, from compareModes
+     * @param {object} charts - Charts object
+     */
+    drawComparison: function(charts) {
+        const { full, minibatch, batchSize } = this.comparison;
+        const toPoints = (history) => history.map(h => ({ x: h.time, y: h.cost }));
+        const all = full.concat(minibatch);
+        const maxTime = Math.max(...all.map(h => h.time));
+        const costs = all.map(h => h.cost);
+        
+        const chart = charts.panel('kmeans-convergence', `${this.costName()} vs Time (${this.points.length} points)`);
+        charts.setRange(chart, 0, maxTime > 0 ? maxTime * 1.05 : 1, Math.min(...costs) * 0.95, Math.max(...costs) * 1.05);
+        charts.drawAxes(chart, 'ms', this.costName());
+        charts.drawLine(chart, toPoints(full), '#4f46e5');
+        charts.drawDots(chart, toPoints(full), '#4f46e5', 3);
+        charts.drawLine(chart, toPoints(minibatch), '#f59e0b');
+        
+        const left = charts.plotArea(chart).left + 6;
+        const last = (history) => history[history.length - 1];
+        charts.drawText(chart, `full: ${full.length - 1} iterations, ${last(full).time.toFixed(0)} ms`, left, 22, '#4f46e5');
+        charts.drawText(chart, `mini-batch (${batchSize}): ${minibatch.length - 1} batches, ${last(minibatch).time.toFixed(0)} ms`,
+                        left, 36, '#f59e0b');
+    },
+
+    /**
+     * Index of the restart with the lowest WCSS
+     */
+    bestRestart: function() {
+        return this.restarts.reduce((top, run, i) =>
+            run.wcss < this.restarts[top].wcss ? i : top, 0);
+    },
+
+    /**
+     * Table of every restart's WCSS and iteration count; click a row to view that run
+     * @param {object} charts - Charts object
+     */
+    drawRestarts: function(charts) {
+        const best = this.bestRestart();
+        const table = charts.htmlPanel('kmeans-restarts', `Restarts (n_init = ${this.restarts.length})`);
+        const rows = this.restarts.map((run, i) => `
+            <tr class="${i === this.selectedRestart ? 'selected' : ''}" data-restart="${i}">
+                <td>${i + 1}${i === best ? ' ★' : ''}</td>
+                <td>${run.wcss.toFixed(1)}</td>
+                <td>${run.iterations}${run.isConverged ? '' : ' (max)'}</td>
+            </tr>
+        `).join('');
+        table.innerHTML = `
+            <table class="chart-table">
+                <tr><th>Run</th><th>${this.costName()}</th><th>Iterations</th></tr>
+                ${rows}
+            </table>
+        `;
+        table.onclick = (e) => {
+            const row = e.target.closest('tr[data-restart]');
+            if (row) setParameter('kmeans-restart', parseInt(row.dataset.restart));
+        };
     },
 
     /**
@@ -352,10 +1574,23 @@ const KMeans = {
             'Points': this.points.length,
             'Clusters (K)': this.k,
             'Iteration': this.iteration,
-            'WCSS': this.calculateWCSS().toFixed(2),
+            'Distance / Center': `${this.metricName()} / ${this.centerRule}`,
+            'Mode': this.mode === 'minibatch' ? `Mini-batch (${this.batchSize})` : 'Full batch',
+            [this.costName()]: this.calculateWCSS().toFixed(2),
             'Converged': this.isConverged ? 'Yes ✓' : 'No'
         };
         
+        if (this.selectedRestart >= 0) {
+            const best = this.restarts[this.bestRestart()];
+            stats['Restart Shown'] = `${this.selectedRestart + 1}/${this.restarts.length}`;
+            stats[`Best ${this.costName()} (of restarts)`] = best.wcss.toFixed(2);
+        }
+        
+        if (this.iteration > 0 && this.assignments.every(a => a >= 0)) {
+            const sampled = this.points.length > this.silhouetteSampleSize ? ' (sampled)' : '';
+            stats[`Mean Silhouette${sampled}`] = this.meanSilhouette(this.silhouettes(this.assignments)).toFixed(3);
+        }
+        
         // Add cluster sizes
         clusterSizes.forEach((size, i) => {
             stats[`Cluster ${i + 1} Size`] = size;
@@ -368,13 +1603,19 @@ const KMeans = {
      * Reset algorithm
      */
     reset: function() {
+        this.k = Math.min(this.requestedK, this.points.length);
         this.centroids = [];
-        this.assignments = new Array(this.points.length).fill(-1);
+        this.assignments = new Int32Array(this.points.length).fill(-1);
         this.previousAssignments = [];
         this.currentStep = 0;
         this.iteration = 0;
         this.isConverged = false;
-        this.history = [];
+        this.seedProbabilities = null;
+        this.restarts = [];
+        this.selectedRestart = -1;
+        this.batch = [];
+        this.centerCounts = [];
+        this.shiftAverage = null;
     }
 };
 
@@ -11,17 +11,58 @@ const LinearRegression = {
     intercept: 0,
     currentStep: 0,
     isRunning: false,
+    maxPoints: 2000,         // Every refit rebuilds the degree report and the coefficient path
     
-    // Learning rate for gradient descent visualization
-    learningRate: 0.0001,
+    // Fitting method: 'least-squares' (closed form), 'gradient-descent', 'huber' or 'ransac'
+    method: 'least-squares',
+    showResiduals: true,
+    showOLS: false,
+    showIntervals: true,
+    
+    // Polynomial degree (1 = straight line)
+    degree: 1,
+    maxDegree: 10,
+    
+    // Regularization: 'none', 'ridge' (L2) or 'lasso' (L1), with strength lambda
+    penalty: 'none',
+    lambda: 0.01,
+    
+    // Gradient descent settings
+    learningRate: 0.1,
+    updatesPerStep: 1,
     iterations: 0,
-    maxIterations: 100,
+    maxIterations: 500,
+    tolerance: 1e-9,
+    
+    // Model coefficients [b0, b1, ..., bd] in scaled units (see computeScaling)
+    coefficients: [0, 0],
+    scaling: { xCenter: 0, xScale: 1, yScale: 1 },
+    gradient: [0, 0],
+    lossHistory: [],
+    path: [],                // {slope, intercept} visited by the optimizer
+    status: 'idle',          // 'idle' | 'training' | 'converged' | 'diverged' | 'stopped'
+    
+    // Robust fitting (Huber / RANSAC)
+    robustThreshold: 30,     // Huber δ and RANSAC inlier distance, in pixels
+    ransacTrials: 30,
+    inliers: [],             // true/false per point once a robust fit exists
+    weights: [],             // Huber weight per point
+    ransac: null,            // {trial, sample, candidate, consensus, best}
     
     // Calculated values for display
     predictions: [],
     residuals: [],
     mse: 0,
     rSquared: 0,
+    degreeReport: [],        // MSE / R² for every degree, see buildDegreeReport
+    coefficientPath: null,   // {points, degree, penalty, samples} behind the coefficient path chart
+    inference: null,         // standard errors, t-statistics and bands, see calculateInference
+    
+    // Timeline: fields that make up a step's state, and those that animate smoothly
+    stateKeys: ['slope', 'intercept', 'currentStep', 'iterations', 'coefficients', 'gradient',
+                'lossHistory', 'path', 'status', 'inliers', 'weights', 'ransac',
+                'predictions', 'residuals', 'mse', 'rSquared', 'inference'],
+    tweenKeys: ['slope', 'intercept', 'coefficients', 'predictions', 'residuals'],
 
     /**
      * Algorithm explanation for the UI
@@ -51,6 +92,67 @@ const LinearRegression = {
                 <li><strong>Step 4:</strong> Draw the best-fit line</li>
             </ul>
             
+            <h4>🏃 Gradient Descent Mode</h4>
+            <p>Instead of solving for the line directly, start from a flat line and repeatedly walk downhill on the error:</p>
+            <div class="formula-box">
+                m ← m - α · ∂MSE/∂m
+                <br>
+                b ← b - α · ∂MSE/∂b
+                <br>
+                α = learning rate
+            </div>
+            <p>A small α creeps towards the best line, a large α overshoots and can even blow up (diverge).</p>
+            <p>The <strong>Loss Surface</strong> chart shows the MSE for every (m, b): darker is lower, the ★ is the least squares solution and the yellow trail is the path gradient descent has taken.</p>
+            
+            <h4>〰️ Polynomial Regression</h4>
+            <p>Raise the <strong>degree</strong> to fit a curve instead of a line:</p>
+            <div class="formula-box">
+                y = b₀ + b₁x + b₂x² + ... + b_d·x^d
+                <br>
+                Solve (XᵀX)·b = Xᵀy
+                <br>
+                X = one column per power of x
+            </div>
+            <p>A low degree <strong>underfits</strong> (misses the trend). A high degree hugs every point and <strong>overfits</strong>: the training MSE keeps falling, but the leave-one-out MSE (error on a point the curve never saw) shoots up.</p>
+            
+            <h4>🪢 Regularization</h4>
+            <p>High-degree fits get huge, wiggly coefficients. A penalty keeps them small:</p>
+            <div class="formula-box">
+                Ridge (L2): MSE + λ·Σ bⱼ²
+                <br>
+                Lasso (L1): MSE + λ·Σ |bⱼ|
+            </div>
+            <p>Ridge shrinks every coefficient smoothly towards 0. Lasso pushes some <strong>exactly</strong> to 0, switching those powers of x off. The intercept b₀ is never penalized. The Coefficient Path chart shows each (scaled) coefficient as λ grows.</p>
+            
+            <h4>🛡️ Robust Fitting</h4>
+            <p>Squaring errors lets one far-away point drag the whole line. Robust methods limit that pull:</p>
+            <ul>
+                <li><strong>Huber:</strong> squared error for small residuals, linear beyond δ. Solved by re-weighting: points further than δ get weight δ/|r|, then refit</li>
+                <li><strong>RANSAC:</strong> fit a line through a random pair, count the points within δ of it (the consensus set), repeat and keep the largest consensus, then refit on it</li>
+            </ul>
+            <p>Points circled in red are flagged as outliers. Regularization applies only to least squares and gradient descent.</p>
+            
+            <h4>🔍 Checking the Residuals</h4>
+            <p>The panels below the canvas test the assumptions behind the fit:</p>
+            <ul>
+                <li><strong>Residuals vs Fitted:</strong> should be a shapeless band around 0. A curve means the model misses a pattern; a funnel means the noise isn't constant.</li>
+                <li><strong>Histogram:</strong> should look roughly like the red normal curve.</li>
+                <li><strong>Q-Q Plot:</strong> points on the diagonal mean normally distributed errors; bent tails mean outliers or skew.</li>
+            </ul>
+            
+            <h4>🎯 Uncertainty</h4>
+            <p>A different sample would give a slightly different line. For least squares fits we estimate how much:</p>
+            <div class="formula-box">
+                σ² = Σ residual² / (n - 2)
+                <br>
+                SE(m) = σ / √Σ(xᵢ - x̄)²
+                <br>
+                SE(b) = σ·√(1/n + x̄² / Σ(xᵢ - x̄)²)
+                <br>
+                t = estimate / SE
+            </div>
+            <p>The p-value is the chance of a t this large if the true value were 0. The dark band is the <strong>95% confidence interval</strong> for the line itself; the light band is the <strong>95% prediction interval</strong> for a new point, which also includes the scatter σ.</p>
+            
             <h4>📈 Measuring Success</h4>
             <ul>
                 <li><strong>MSE:</strong> Mean Squared Error - average of squared distances</li>
@@ -63,15 +165,109 @@ const LinearRegression = {
      * Parameter definitions for UI
      */
     parameters: [
+        {
+            id: 'regression-method',
+            name: 'Fitting Method',
+            type: 'select',
+            default: 'least-squares',
+            options: [
+                { value: 'least-squares', label: 'Least Squares (closed form)' },
+                { value: 'gradient-descent', label: 'Gradient Descent' },
+                { value: 'huber', label: 'Huber (robust)' },
+                { value: 'ransac', label: 'RANSAC (robust)' }
+            ],
+            description: 'Solve for the line directly, learn it step by step, or resist outliers'
+        },
+        {
+            id: 'poly-degree',
+            name: 'Polynomial Degree',
+            min: 1,
+            max: 10,
+            step: 1,
+            default: 1,
+            description: '1 fits a straight line, higher degrees fit curves'
+        },
+        {
+            id: 'penalty',
+            name: 'Regularization',
+            type: 'select',
+            default: 'none',
+            options: [
+                { value: 'none', label: 'None' },
+                { value: 'ridge', label: 'Ridge (L2)' },
+                { value: 'lasso', label: 'Lasso (L1)' }
+            ],
+            description: 'Penalize large coefficients to tame overfitting'
+        },
+        {
+            id: 'lambda',
+            name: 'Penalty Strength (log₁₀ λ)',
+            min: -4,
+            max: 1,
+            step: 0.1,
+            default: -2,
+            applyOnRelease: true,    // Every change refits all degrees for the report
+            description: 'λ = 10^value. Larger λ shrinks coefficients harder'
+        },
         {
             id: 'learning-rate',
             name: 'Learning Rate',
-            min: 0.00001,
-            max: 0.001,
-            step: 0.00001,
-            default: 0.0001,
+            min: 0.01,
+            max: 1.2,
+            step: 0.01,
+            default: 0.1,
             description: 'How fast the algorithm adjusts (for gradient descent mode)'
         },
+        {
+            id: 'gd-updates',
+            name: 'Updates per Step',
+            min: 1,
+            max: 50,
+            step: 1,
+            default: 1,
+            description: 'Gradient descent updates applied on each Step Forward'
+        },
+        {
+            id: 'gd-max-iterations',
+            name: 'Max Iterations',
+            min: 50,
+            max: 2000,
+            step: 50,
+            default: 500,
+            description: 'Gradient descent gives up after this many updates'
+        },
+        {
+            id: 'robust-threshold',
+            name: 'Outlier Threshold δ (px)',
+            min: 5,
+            max: 100,
+            step: 5,
+            default: 30,
+            description: 'Residual size beyond which Huber/RANSAC treat a point as an outlier'
+        },
+        {
+            id: 'ransac-trials',
+            name: 'RANSAC Trials',
+            min: 5,
+            max: 100,
+            step: 5,
+            default: 30,
+            description: 'How many random samples RANSAC tries'
+        },
+        {
+            id: 'show-ols',
+            name: 'Show Least Squares Line',
+            type: 'checkbox',
+            default: false,
+            description: 'Draw the ordinary least squares fit for comparison (robust modes)'
+        },
+        {
+            id: 'show-intervals',
+            name: 'Show 95% Bands',
+            type: 'checkbox',
+            default: true,
+            description: 'Shade confidence and prediction intervals (least squares)'
+        },
         {
             id: 'show-residuals',
             name: 'Show Residuals',
@@ -95,6 +291,13 @@ const LinearRegression = {
         this.residuals = [];
         this.mse = 0;
         this.rSquared = 0;
+        this.resetGradientDescent();
+        this.inliers = [];
+        this.weights = [];
+        this.ransac = null;
+        this.inference = null;
+        this.computeScaling();
+        this.buildDegreeReport();
         
         console.log('📈 Linear Regression initialized with', points.length, 'points');
     },
@@ -152,12 +355,395 @@ const LinearRegression = {
      * Make predictions for all points
      */
     predict: function() {
-        this.predictions = this.points.map(point => {
-            return this.slope * point.x + this.intercept;
-        });
+        this.predictions = this.points.map(point => this.predictValue(point.x));
         return this.predictions;
     },
 
+    /**
+     * Predict y for a single x with the current model
+     * @param {number} x - X coordinate
+     * @returns {number} Predicted y
+     */
+    predictValue: function(x) {
+        if (this.degree === 1) {
+            return this.slope * x + this.intercept;
+        }
+        return this.evaluatePolynomial(this.coefficients, x);
+    },
+
+    /**
+     * Evaluate scaled polynomial coefficients at x (in pixels)
+     * @param {Array} coefficients - [b0, ..., bd] in scaled units
+     * @param {number} x - X coordinate
+     */
+    evaluatePolynomial: function(coefficients, x) {
+        const features = this.features(x, coefficients.length - 1);
+        const u = features.reduce((sum, f, j) => sum + f * coefficients[j], 0);
+        return u * this.scaling.yScale;
+    },
+
+    /**
+     * Polynomial features of x: [1, t, t², ..., t^degree] with t = scaled x
+     * @param {number} x - X coordinate
+     * @param {number} degree - Highest power
+     */
+    features: function(x, degree = this.degree) {
+        const t = (x - this.scaling.xCenter) / this.scaling.xScale;
+        const features = [1];
+        for (let j = 1; j <= degree; j++) {
+            features.push(features[j - 1] * t);
+        }
+        return features;
+    },
+
+    /**
+     * Solve the linear system A·x = b by Gaussian elimination with partial pivoting
+     * @param {Array} A - Square matrix (array of rows)
+     * @param {Array} b - Right-hand side
+     * @returns {Array|null} Solution, or null if A is singular
+     */
+    solveLinearSystem: function(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+        
+        for (let col = 0; col < n; col++) {
+            // Bring the largest pivot up to keep the elimination stable
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-12) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+            
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+        
+        // Back substitution
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = M[row][n];
+            for (let k = row + 1; k < n; k++) {
+                sum -= M[row][k] * x[k];
+            }
+            x[row] = sum / M[row][row];
+        }
+        return x;
+    },
+
+    /**
+     * Invert a square matrix (column by column with solveLinearSystem)
+     * @param {Array} A - Square matrix
+     * @returns {Array|null} Inverse, or null if A is singular
+     */
+    invertMatrix: function(A) {
+        const n = A.length;
+        const columns = [];
+        
+        for (let j = 0; j < n; j++) {
+            const unit = new Array(n).fill(0);
+            unit[j] = 1;
+            const column = this.solveLinearSystem(A, unit);
+            if (!column) return null;
+            columns.push(column);
+        }
+        
+        return A.map((_, i) => columns.map(column => column[i]));
+    },
+
+    /**
+     * Build the normal equations (XᵀX)·b = Xᵀu for a polynomial fit
+     * (or XᵀWX·b = XᵀWu when weights are given)
+     * @param {Array} points - Points to fit
+     * @param {number} degree - Polynomial degree
+     * @param {Array} weights - Optional weight per point
+     * @returns {object} {xtx, xty}
+     */
+    normalEquations: function(points, degree, weights = null) {
+        const size = degree + 1;
+        const xtx = Array.from({ length: size }, () => new Array(size).fill(0));
+        const xty = new Array(size).fill(0);
+        
+        points.forEach((point, k) => {
+            const f = this.features(point.x, degree);
+            const u = point.y / this.scaling.yScale;
+            const w = weights ? weights[k] : 1;
+            for (let i = 0; i < size; i++) {
+                xty[i] += w * f[i] * u;
+                for (let j = 0; j < size; j++) {
+                    xtx[i][j] += w * f[i] * f[j];
+                }
+            }
+        });
+        
+        return { xtx, xty };
+    },
+
+    /**
+     * Polynomial fit, optionally regularized
+     * • none:  (XᵀX)·b = Xᵀu
+     * • ridge: (XᵀX + nλ·I)·b = Xᵀu   (b0 left unpenalized)
+     * • lasso: coordinate descent, see fitLasso
+     * @param {number} degree - Polynomial degree
+     * @param {Array} points - Points to fit (defaults to all points)
+     * @param {string} penalty - 'none', 'ridge' or 'lasso'
+     * @param {number} lambda - Penalty strength
+     * @returns {Array|null} Scaled coefficients, or null if underdetermined
+     */
+    fitPolynomial: function(degree, points = this.points, penalty = this.penalty, lambda = this.lambda) {
+        if (points.length === 0) return null;
+        if (penalty === 'lasso') {
+            return this.fitLasso(degree, points, lambda);
+        }
+        if (penalty === 'none' && points.length < degree + 1) return null;
+        
+        const { xtx, xty } = this.normalEquations(points, degree);
+        if (penalty === 'ridge') {
+            for (let j = 1; j <= degree; j++) {
+                xtx[j][j] += points.length * lambda;
+            }
+        }
+        return this.solveLinearSystem(xtx, xty);
+    },
+
+    /**
+     * Lasso fit by coordinate descent: minimise MSE + λ·Σ|bⱼ| one coefficient
+     * at a time. Each update is a least squares step followed by
+     * soft-thresholding, which is what snaps small coefficients to exactly 0.
+     * @param {number} degree - Polynomial degree
+     * @param {Array} points - Points to fit
+     * @param {number} lambda - Penalty strength
+     * @returns {Array} Scaled coefficients
+     */
+    fitLasso: function(degree, points, lambda) {
+        const n = points.length;
+        const size = degree + 1;
+        const rows = points.map(p => this.features(p.x, degree));
+        const targets = points.map(p => p.y / this.scaling.yScale);
+        const coefficients = new Array(size).fill(0);
+        const residuals = [...targets];
+        const norms = new Array(size).fill(0).map((_, j) => {
+            return rows.reduce((sum, f) => sum + f[j] * f[j], 0) / n;
+        });
+        
+        for (let sweep = 0; sweep < 500; sweep++) {
+            let maxChange = 0;
+            
+            for (let j = 0; j < size; j++) {
+                if (norms[j] === 0) continue;
+                
+                // Correlation of feature j with the residual, ignoring bⱼ's own contribution
+                let rho = 0;
+                rows.forEach((f, i) => {
+                    rho += f[j] * (residuals[i] + f[j] * coefficients[j]);
+                });
+                rho /= n;
+                
+                const updated = j === 0
+                    ? rho / norms[j]
+                    : this.softThreshold(rho, lambda / 2) / norms[j];
+                const change = updated - coefficients[j];
+                
+                if (change !== 0) {
+                    rows.forEach((f, i) => {
+                        residuals[i] -= f[j] * change;
+                    });
+                    coefficients[j] = updated;
+                    maxChange = Math.max(maxChange, Math.abs(change));
+                }
+            }
+            
+            if (maxChange < 1e-6) break;
+        }
+        
+        return coefficients;
+    },
+
+    /**
+     * Soft-thresholding operator: shrink z towards 0 by gamma, clipping at 0
+     */
+    softThreshold: function(z, gamma) {
+        if (z > gamma) return z - gamma;
+        if (z < -gamma) return z + gamma;
+        return 0;
+    },
+
+    /**
+     * Classical inference for an ordinary least squares fit:
+     * residual standard error, slope/intercept standard errors, t-statistics,
+     * p-values and what is needed to draw 95% confidence/prediction bands.
+     * Only valid for unpenalized least squares, so other fits get null.
+     */
+    calculateInference: function() {
+        const n = this.points.length;
+        const size = this.degree + 1;
+        const df = n - size;
+        
+        this.inference = null;
+        if (this.method !== 'least-squares' || this.penalty !== 'none' || df < 1) {
+            return null;
+        }
+        
+        const { xtx } = this.normalEquations(this.points, this.degree);
+        const covariance = this.invertMatrix(xtx);
+        if (!covariance) return null;
+        
+        const sse = this.residuals.reduce((sum, r) => sum + r * r, 0);
+        const sigma = Math.sqrt(sse / df);
+        
+        this.inference = {
+            df: df,
+            sigma: sigma,
+            tCritical: Statistics.tCritical(0.05, df),
+            covariance: covariance       // (XᵀX)⁻¹ in scaled features
+        };
+        
+        if (this.degree === 1) {
+            const { meanX } = this.calculateMeans();
+            const sxx = this.points.reduce((sum, p) => sum + Math.pow(p.x - meanX, 2), 0);
+            const describe = (estimate, se) => {
+                const t = se > 0 ? estimate / se : Infinity;
+                return { se, t, p: Statistics.tPValue(t, df) };
+            };
+            
+            this.inference.slope = describe(this.slope, sigma / Math.sqrt(sxx));
+            this.inference.intercept = describe(this.intercept, sigma * Math.sqrt(1 / n + meanX * meanX / sxx));
+        }
+        
+        return this.inference;
+    },
+
+    /**
+     * Half-widths of the 95% bands at x
+     * @param {number} x - X coordinate
+     * @returns {object} {confidence, prediction}
+     */
+    intervalAt: function(x) {
+        const { sigma, tCritical, covariance } = this.inference;
+        const f = this.features(x);
+        
+        // Leverage fᵀ(XᵀX)⁻¹f: how far x sits from the bulk of the data
+        let leverage = 0;
+        for (let i = 0; i < f.length; i++) {
+            for (let j = 0; j < f.length; j++) {
+                leverage += f[i] * covariance[i][j] * f[j];
+            }
+        }
+        
+        return {
+            confidence: tCritical * sigma * Math.sqrt(leverage),
+            prediction: tCritical * sigma * Math.sqrt(1 + leverage)
+        };
+    },
+
+    /**
+     * Whether the fit goes through the normal equations rather than the
+     * textbook mean/slope/intercept formulas (curves and penalized lines)
+     */
+    usesNormalEquations: function() {
+        return this.degree > 1 || this.penalty !== 'none';
+    },
+
+    /**
+     * Refresh after the penalty strength changes: rebuild the degree report
+     * and, if a closed-form fit is showing, refit so the curve follows the slider.
+     * The slider only applies λ once released, as this refits every degree.
+     */
+    refit: function() {
+        this.buildDegreeReport();
+        
+        if (this.method !== 'gradient-descent' && this.currentStep >= 4) {
+            this.run();
+        }
+    },
+
+    /**
+     * Fit every degree from 1 to maxDegree and record how well each does.
+     * Training MSE always falls as the degree grows; the leave-one-out MSE
+     * (each point predicted by a curve fitted without it) reveals overfitting.
+     * See leaveOneOutSSE for how that is computed without refitting.
+     */
+    buildDegreeReport: function() {
+        const { meanY } = this.calculateMeans();
+        const ssTotal = this.points.reduce((sum, p) => sum + Math.pow(p.y - meanY, 2), 0);
+        const n = this.points.length;
+        
+        this.degreeReport = [];
+        for (let degree = 1; degree <= this.maxDegree; degree++) {
+            const coefficients = this.fitPolynomial(degree);
+            if (!coefficients) break;
+            
+            const sse = this.points.reduce((sum, p) => {
+                return sum + Math.pow(p.y - this.evaluatePolynomial(coefficients, p.x), 2);
+            }, 0);
+            
+            const loo = this.leaveOneOutSSE(degree, coefficients);
+            
+            this.degreeReport.push({
+                degree: degree,
+                mse: sse / n,
+                rSquared: ssTotal !== 0 ? 1 - sse / ssTotal : 0,
+                looMSE: loo.count > 0 ? loo.sse / loo.count : NaN
+            });
+        }
+        
+        return this.degreeReport;
+    },
+
+    /**
+     * Leave-one-out squared error in closed form (PRESS): a linear smoother ŷ = H·y
+     * predicts point i without it as if its residual were eᵢ / (1 - hᵢᵢ),
+     * where hᵢᵢ = fᵢᵀA⁻¹fᵢ is its leverage. No refits, so O(n·d²).
+     * • none:  A = XᵀX, exact
+     * • ridge: A = XᵀX + nλ·I, with the full-data penalty nλ kept for each left-out fit
+     * • lasso: not a linear smoother; least squares on the nonzero coefficients
+     *          stands in for it, an approximation
+     * Points with leverage 1 cannot be predicted without themselves and are skipped.
+     * @param {number} degree - Polynomial degree
+     * @param {Array} coefficients - Fit on all points
+     * @returns {object} {sse, count}
+     */
+    leaveOneOutSSE: function(degree, coefficients) {
+        const active = coefficients
+            .map((c, j) => j)
+            .filter(j => this.penalty !== 'lasso' || j === 0 || coefficients[j] !== 0);
+        
+        const { xtx } = this.normalEquations(this.points, degree);
+        const A = active.map(i => active.map(j => xtx[i][j]));
+        if (this.penalty === 'ridge') {
+            active.forEach((j, k) => {
+                if (j > 0) A[k][k] += this.points.length * this.lambda;
+            });
+        }
+        
+        const inverse = this.invertMatrix(A);
+        if (!inverse) return { sse: 0, count: 0 };
+        
+        let sse = 0;
+        let count = 0;
+        this.points.forEach(point => {
+            const all = this.features(point.x, degree);
+            const f = active.map(j => all[j]);
+            let leverage = 0;
+            for (let i = 0; i < f.length; i++) {
+                for (let j = 0; j < f.length; j++) {
+                    leverage += f[i] * inverse[i][j] * f[j];
+                }
+            }
+            if (leverage >= 1 - 1e-9) return;
+            
+            const residual = point.y - this.evaluatePolynomial(coefficients, point.x);
+            sse += Math.pow(residual / (1 - leverage), 2);
+            count++;
+        });
+        
+        return { sse, count };
+    },
+
     /**
      * Calculate residuals (errors)
      */
@@ -179,6 +765,55 @@ const LinearRegression = {
         return this.mse;
     },
 
+    /**
+     * Least squares solution without touching the current line
+     * @returns {object} {slope, intercept}
+     */
+    closedFormSolution: function() {
+        const { meanX, meanY } = this.calculateMeans();
+        
+        let numerator = 0;
+        let denominator = 0;
+        this.points.forEach(point => {
+            numerator += (point.x - meanX) * (point.y - meanY);
+            denominator += (point.x - meanX) * (point.x - meanX);
+        });
+        
+        const slope = denominator !== 0 ? numerator / denominator : 0;
+        return { slope, intercept: meanY - slope * meanX };
+    },
+
+    /**
+     * Calculate the MSE of any line (slope, intercept) over the points.
+     * Same quantity as calculateMSE(), expanded into sums so a whole loss
+     * surface can be evaluated without looping over the points each time.
+     * @param {number} slope - Line slope
+     * @param {number} intercept - Line intercept
+     * @param {object} sums - Optional precomputed sums from lossSums()
+     */
+    calculateMSEAt: function(slope, intercept, sums = this.lossSums()) {
+        const { n, sx, sy, sxx, sxy, syy } = sums;
+        if (n === 0) return 0;
+        
+        return (syy - 2 * slope * sxy - 2 * intercept * sy +
+                slope * slope * sxx + 2 * slope * intercept * sx +
+                n * intercept * intercept) / n;
+    },
+
+    /**
+     * Sums needed by calculateMSEAt()
+     */
+    lossSums: function() {
+        return this.points.reduce((sums, p) => {
+            sums.sx += p.x;
+            sums.sy += p.y;
+            sums.sxx += p.x * p.x;
+            sums.sxy += p.x * p.y;
+            sums.syy += p.y * p.y;
+            return sums;
+        }, { n: this.points.length, sx: 0, sy: 0, sxx: 0, sxy: 0, syy: 0 });
+    },
+
     /**
      * Calculate R-squared (coefficient of determination)
      */
@@ -196,53 +831,688 @@ const LinearRegression = {
     },
 
     /**
-     * Run complete algorithm (all steps at once)
+     * Evaluate the current line: predictions, residuals, MSE and R²
      */
-    run: function() {
-        if (this.points.length < 2) {
-            console.warn('Need at least 2 points for regression');
-            return null;
-        }
-        
-        this.calculateSlope();
-        this.calculateIntercept();
+    evaluate: function() {
         this.predict();
         this.calculateResiduals();
         this.calculateMSE();
         this.calculateRSquared();
+    },
+
+    /**
+     * Work out the scaling used by gradient descent.
+     * Pixel coordinates are in the hundreds, so descending on them directly
+     * needs a microscopic learning rate. Instead we descend on
+     * t = (x - xCenter) / xScale and u = y / yScale, which keeps every
+     * coordinate roughly within [-1, 1].
+     */
+    computeScaling: function() {
+        if (this.points.length === 0) {
+            this.scaling = { xCenter: 0, xScale: 1, yScale: 1 };
+            return this.scaling;
+        }
         
-        this.currentStep = 4; // All steps complete
+        const xs = this.points.map(p => p.x);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const maxAbsY = Math.max(...this.points.map(p => Math.abs(p.y)));
         
-        return {
-            slope: this.slope,
-            intercept: this.intercept,
-            mse: this.mse,
-            rSquared: this.rSquared
+        this.scaling = {
+            xCenter: (minX + maxX) / 2,
+            xScale: (maxX - minX) / 2 || 1,
+            yScale: maxAbsY || 1
         };
+        return this.scaling;
     },
 
     /**
-     * Execute single step (for step-by-step mode)
-     * @returns {object} Step information
+     * Convert scaled coefficients [b0, b1] back to pixel slope/intercept
+     * (only meaningful for degree 1)
      */
-    step: function() {
-        let stepInfo = {};
+    syncLineFromCoefficients: function() {
+        if (this.degree !== 1) return;
+        const { xCenter, xScale, yScale } = this.scaling;
+        this.slope = this.coefficients[1] * yScale / xScale;
+        this.intercept = this.coefficients[0] * yScale - this.slope * xCenter;
+    },
+
+    /**
+     * Clear gradient descent progress
+     */
+    resetGradientDescent: function() {
+        this.coefficients = new Array(this.degree + 1).fill(0);
+        this.gradient = new Array(this.degree + 1).fill(0);
+        this.iterations = 0;
+        this.lossHistory = [];
+        this.path = [];
+        this.status = 'idle';
+    },
+
+    /**
+     * Start gradient descent from a flat line (all coefficients 0)
+     */
+    startGradientDescent: function() {
+        this.resetGradientDescent();
+        this.computeScaling();
+        this.syncLineFromCoefficients();
+        this.evaluate();
+        this.lossHistory.push(this.mse);
+        this.path.push({ slope: this.slope, intercept: this.intercept });
+        this.status = 'training';
+    },
+
+    /**
+     * Perform one batch gradient descent update on the scaled MSE
+     * Gradient: ∂/∂bⱼ = -2/n Σ rᵢ·tᵢʲ  (for a line: ∂/∂b0 = -2/n Σ rᵢ, ∂/∂b1 = -2/n Σ rᵢ·tᵢ)
+     * @returns {string} Training status after the update
+     */
+    gradientStep: function() {
+        if (this.status !== 'training') return this.status;
         
-        switch(this.currentStep) {
-            case 0:
-                // Step 1: Calculate means
-                const means = this.calculateMeans();
-                stepInfo = {
-                    step: 1,
-                    title: "Calculate Means",
-                    description: `Finding the center of our data:\n• Mean X = ${means.meanX.toFixed(2)}\n• Mean Y = ${means.meanY.toFixed(2)}`,
-                    highlight: 'means'
-                };
-                break;
-                
-            case 1:
-                // Step 2: Calculate slope
-                this.calculateSlope();
+        const yScale = this.scaling.yScale;
+        const n = this.points.length;
+        const gradient = new Array(this.coefficients.length).fill(0);
+        
+        this.points.forEach(point => {
+            const features = this.features(point.x);
+            const fitted = features.reduce((sum, f, j) => sum + f * this.coefficients[j], 0);
+            const r = point.y / yScale - fitted;
+            features.forEach((f, j) => {
+                gradient[j] += -2 * r * f / n;
+            });
+        });
+        
+        // Ridge adds 2λbⱼ to the gradient (the intercept is never penalized)
+        if (this.penalty === 'ridge') {
+            for (let j = 1; j < gradient.length; j++) {
+                gradient[j] += 2 * this.lambda * this.coefficients[j];
+            }
+        }
+        
+        this.gradient = gradient;
+        this.coefficients = this.coefficients.map((b, j) => b - this.learningRate * gradient[j]);
+        
+        // Lasso's |bⱼ| has no gradient at 0, so take a proximal step instead
+        if (this.penalty === 'lasso') {
+            this.coefficients = this.coefficients.map((b, j) => {
+                return j === 0 ? b : this.softThreshold(b, this.learningRate * this.lambda);
+            });
+        }
+        this.iterations++;
+        
+        this.syncLineFromCoefficients();
+        this.evaluate();
+        
+        const previousLoss = this.lossHistory[this.lossHistory.length - 1];
+        this.lossHistory.push(this.mse);
+        this.path.push({ slope: this.slope, intercept: this.intercept });
+        
+        // Divergence: the loss exploded instead of shrinking
+        if (!isFinite(this.mse) || this.mse > 1000 * this.lossHistory[0]) {
+            this.status = 'diverged';
+        } else if (Math.abs(previousLoss - this.mse) <= this.tolerance * previousLoss ||
+                   Math.hypot(...gradient) < 1e-6) {
+            this.status = 'converged';
+        } else if (this.iterations >= this.maxIterations) {
+            this.status = 'stopped';
+        }
+        
+        return this.status;
+    },
+
+    /**
+     * Run gradient descent until it converges, diverges or hits maxIterations
+     */
+    runGradientDescent: function() {
+        if (this.status === 'idle') {
+            this.startGradientDescent();
+        }
+        
+        while (this.status === 'training') {
+            this.gradientStep();
+        }
+        
+        this.currentStep = Math.max(this.currentStep, 1);
+    },
+
+    /**
+     * Execute one gradient descent step (for step-by-step mode)
+     * @returns {object} Step information
+     */
+    stepGradientDescent: function() {
+        if (this.currentStep === 0) {
+            this.startGradientDescent();
+            this.currentStep++;
+            return {
+                step: 1,
+                title: "Initialize Parameters",
+                description: `Starting from a flat line:\n• ${this.degree === 1 ? 'Slope (m) = 0\n• Intercept (b) = 0' : `All ${this.degree + 1} coefficients = 0`}\n• MSE = ${this.mse.toFixed(2)}`,
+                highlight: 'line'
+            };
+        }
+        
+        if (this.status !== 'training') {
+            return this.gradientDescentSummary();
+        }
+        
+        const previousLoss = this.mse;
+        for (let i = 0; i < this.updatesPerStep && this.status === 'training'; i++) {
+            this.gradientStep();
+        }
+        
+        this.currentStep++;
+        
+        if (this.status !== 'training') {
+            return this.gradientDescentSummary();
+        }
+        
+        const change = this.mse - previousLoss;
+        const parameters = this.degree === 1
+            ? `• Slope (m) = ${this.slope.toFixed(4)}\n• Intercept (b) = ${this.intercept.toFixed(2)}`
+            : `• Coefficients = [${this.coefficients.map(b => b.toFixed(3)).join(', ')}]`;
+        return {
+            step: `Iteration ${this.iterations}`,
+            title: "Gradient Descent Update",
+            description: `Moved downhill with α = ${this.learningRate}:\n${parameters}\n• MSE = ${this.mse.toFixed(2)} (${change <= 0 ? '↓' : '↑'} ${Math.abs(change).toFixed(2)})\n• |gradient| = ${Math.hypot(...this.gradient).toFixed(5)}`,
+            highlight: 'line'
+        };
+    },
+
+    /**
+     * Describe how gradient descent finished
+     * @returns {object} Step information
+     */
+    gradientDescentSummary: function() {
+        const summaries = {
+            converged: {
+                title: "Converged!",
+                description: `Gradient descent settled after ${this.iterations} iterations.\n• MSE = ${this.mse.toFixed(2)}\n• R² = ${(this.rSquared * 100).toFixed(1)}%`
+            },
+            diverged: {
+                title: "Diverged!",
+                description: `The loss exploded after ${this.iterations} iterations.\nThe learning rate (${this.learningRate}) is too large: each update overshoots the minimum. Lower it and reset.`
+            },
+            stopped: {
+                title: "Iteration Limit Reached",
+                description: `Stopped after ${this.iterations} iterations without converging.\n• MSE = ${this.mse.toFixed(2)}\nTry a larger learning rate or more iterations.`
+            }
+        };
+        
+        return {
+            step: 'Done',
+            ...summaries[this.status],
+            highlight: 'complete'
+        };
+    },
+
+    /**
+     * Flag each point as inlier/outlier by its residual under the current model
+     */
+    flagOutliers: function() {
+        this.inliers = this.residuals.map(r => Math.abs(r) <= this.robustThreshold);
+    },
+
+    /**
+     * Huber weights for the current residuals: 1 inside δ, δ/|r| outside,
+     * which turns squared loss into linear loss for large residuals
+     */
+    huberWeights: function() {
+        return this.residuals.map(r => {
+            const size = Math.abs(r);
+            return size <= this.robustThreshold ? 1 : this.robustThreshold / size;
+        });
+    },
+
+    /**
+     * Start Huber fitting from the ordinary least squares fit
+     * @returns {boolean} False if the least squares fit is singular (too few distinct x values)
+     */
+    startHuber: function() {
+        this.resetGradientDescent();
+        this.computeScaling();
+        const coefficients = this.fitPolynomial(this.degree, this.points, 'none');
+        if (!coefficients) {
+            return false;
+        }
+        
+        this.coefficients = coefficients;
+        this.syncLineFromCoefficients();
+        this.evaluate();
+        this.weights = this.huberWeights();
+        this.flagOutliers();
+        this.status = 'training';
+        return true;
+    },
+
+    /**
+     * One iteratively reweighted least squares (IRLS) update for the Huber loss
+     * @returns {number} Largest coefficient change
+     */
+    huberStep: function() {
+        const { xtx, xty } = this.normalEquations(this.points, this.degree, this.weights);
+        const updated = this.solveLinearSystem(xtx, xty);
+        if (!updated) {
+            this.status = 'stopped';
+            return 0;
+        }
+        
+        const change = Math.max(...updated.map((b, j) => Math.abs(b - this.coefficients[j])));
+        this.coefficients = updated;
+        this.iterations++;
+        this.syncLineFromCoefficients();
+        this.evaluate();
+        this.weights = this.huberWeights();
+        this.flagOutliers();
+        
+        if (change < 1e-6) {
+            this.status = 'converged';
+        } else if (this.iterations >= this.maxIterations) {
+            this.status = 'stopped';
+        }
+        return change;
+    },
+
+    /**
+     * Begin RANSAC: no model yet, no trials run
+     */
+    startRansac: function() {
+        this.resetGradientDescent();
+        this.computeScaling();
+        this.inliers = [];
+        this.ransac = {
+            trial: 0,
+            sample: [],
+            candidate: null,
+            consensus: [],
+            best: null
+        };
+        this.status = 'training';
+    },
+
+    /**
+     * One RANSAC trial: fit a random minimal sample, measure its consensus set
+     * and keep it if it beats the best so far
+     */
+    ransacTrial: function() {
+        const size = this.degree + 1;
+        const sample = [];
+        while (sample.length < size) {
+            const index = Random.int(this.points.length);
+            if (!sample.includes(index)) sample.push(index);
+        }
+        
+        const candidate = this.fitPolynomial(this.degree, sample.map(i => this.points[i]), 'none');
+        const consensus = [];
+        let sse = 0;
+        if (candidate) {
+            this.points.forEach((point, i) => {
+                const r = point.y - this.evaluatePolynomial(candidate, point.x);
+                if (Math.abs(r) <= this.robustThreshold) {
+                    consensus.push(i);
+                    sse += r * r;
+                }
+            });
+        }
+        
+        const best = this.ransac.best;
+        const improved = candidate && (!best || consensus.length > best.consensus.length ||
+            (consensus.length === best.consensus.length && sse < best.sse));
+        
+        this.ransac.trial++;
+        this.ransac.sample = sample;
+        this.ransac.candidate = candidate;
+        this.ransac.consensus = consensus;
+        if (improved) {
+            this.ransac.best = { coefficients: candidate, consensus, sse, trial: this.ransac.trial };
+            this.coefficients = candidate;
+            this.syncLineFromCoefficients();
+            this.evaluate();
+        }
+        
+        return improved;
+    },
+
+    /**
+     * Finish RANSAC: least squares refit on the best consensus set
+     */
+    finishRansac: function() {
+        const best = this.ransac.best;
+        this.ransac.sample = [];
+        this.ransac.candidate = null;
+        this.status = 'converged';
+        if (!best) return;
+        
+        const refit = this.fitPolynomial(this.degree, best.consensus.map(i => this.points[i]), 'none');
+        if (refit) {
+            this.coefficients = refit;
+        }
+        this.syncLineFromCoefficients();
+        this.evaluate();
+        this.flagOutliers();
+    },
+
+    /**
+     * Run a robust fit (Huber or RANSAC) to completion
+     */
+    runRobust: function() {
+        if (this.points.length < this.degree + 1) {
+            console.warn('Need at least', this.degree + 1, 'points for degree', this.degree);
+            return null;
+        }
+        
+        if (this.method === 'huber') {
+            if (!this.startHuber()) {
+                console.warn('Singular least squares fit: need at least', this.degree + 1, 'distinct x values for degree', this.degree);
+                return null;
+            }
+            while (this.status === 'training') {
+                this.huberStep();
+            }
+        } else {
+            this.startRansac();
+            while (this.ransac.trial < this.ransacTrials) {
+                this.ransacTrial();
+            }
+            this.finishRansac();
+        }
+        
+        this.currentStep = Math.max(this.currentStep, 1);
+        
+        return {
+            slope: this.slope,
+            intercept: this.intercept,
+            coefficients: this.coefficients,
+            mse: this.mse,
+            rSquared: this.rSquared,
+            outliers: this.inliers.filter(inlier => !inlier).length
+        };
+    },
+
+    /**
+     * Execute one robust fitting step
+     * @returns {object} Step information
+     */
+    stepRobust: function() {
+        if (this.points.length < this.degree + 1) {
+            return {
+                step: this.currentStep,
+                title: "Not Enough Points",
+                description: `A degree ${this.degree} fit needs at least ${this.degree + 1} points.`,
+                highlight: 'complete'
+            };
+        }
+        
+        const outlierCount = () => this.inliers.filter(inlier => !inlier).length;
+        
+        if (this.method === 'huber') {
+            if (this.currentStep === 0) {
+                if (!this.startHuber()) {
+                    return {
+                        step: this.currentStep,
+                        title: "Singular Fit",
+                        description: `The least squares starting fit has no unique solution: a degree ${this.degree} curve needs at least ${this.degree + 1} distinct x values.`,
+                        highlight: 'complete'
+                    };
+                }
+                this.currentStep++;
+                return {
+                    step: 1,
+                    title: "Start from Least Squares",
+                    description: `Ordinary least squares fit as a starting point:\n• MSE = ${this.mse.toFixed(2)}\n• ${outlierCount()} point(s) further than δ = ${this.robustThreshold}px will be down-weighted`,
+                    highlight: 'line'
+                };
+            }
+            
+            if (this.status !== 'training') {
+                return {
+                    step: 'Done',
+                    title: this.status === 'converged' ? "Converged!" : "Iteration Limit Reached",
+                    description: `Huber fit after ${this.iterations} reweighting rounds.\n• ${outlierCount()} outlier(s) flagged\n• MSE = ${this.mse.toFixed(2)}`,
+                    highlight: 'complete'
+                };
+            }
+            
+            const change = this.huberStep();
+            const minWeight = Math.min(...this.weights);
+            this.currentStep++;
+            return {
+                step: `Iteration ${this.iterations}`,
+                title: "Reweight and Refit",
+                description: `Weighted least squares with the Huber weights:\n• Smallest weight = ${minWeight.toFixed(3)}\n• ${outlierCount()} point(s) beyond δ\n• Largest coefficient change = ${change.toExponential(2)}`,
+                highlight: 'line'
+            };
+        }
+        
+        // RANSAC
+        if (this.currentStep === 0) {
+            this.startRansac();
+        }
+        
+        if (this.status !== 'training') {
+            return {
+                step: 'Done',
+                title: "RANSAC Complete",
+                description: `Best consensus: ${this.ransac.best ? this.ransac.best.consensus.length : 0} of ${this.points.length} points.\n• ${outlierCount()} outlier(s) flagged\n• MSE = ${this.mse.toFixed(2)}`,
+                highlight: 'complete'
+            };
+        }
+        
+        this.currentStep++;
+        
+        if (this.ransac.trial >= this.ransacTrials) {
+            this.finishRansac();
+            return {
+                step: 'Refit',
+                title: "Refit on Best Consensus",
+                description: `Least squares on the ${this.ransac.best ? this.ransac.best.consensus.length : 0} inliers from trial ${this.ransac.best ? this.ransac.best.trial : '-'}.\n• ${outlierCount()} outlier(s) ignored\n• MSE = ${this.mse.toFixed(2)}`,
+                highlight: 'complete'
+            };
+        }
+        
+        const improved = this.ransacTrial();
+        const best = this.ransac.best;
+        return {
+            step: `Trial ${this.ransac.trial}/${this.ransacTrials}`,
+            title: improved ? "New Best Consensus!" : "Sample and Score",
+            description: `Fitted through ${this.degree === 1 ? 'the circled pair' : `${this.degree + 1} circled points`}:\n• ${this.ransac.consensus.length} point(s) within δ = ${this.robustThreshold}px\n• Best so far: ${best ? best.consensus.length : 0} (trial ${best ? best.trial : '-'})`,
+            highlight: 'line'
+        };
+    },
+
+    /**
+     * Run complete algorithm (all steps at once)
+     */
+    run: function() {
+        if (this.points.length < 2) {
+            console.warn('Need at least 2 points for regression');
+            return null;
+        }
+        
+        if (this.method === 'gradient-descent') {
+            this.runGradientDescent();
+            return {
+                slope: this.slope,
+                intercept: this.intercept,
+                coefficients: this.coefficients,
+                mse: this.mse,
+                rSquared: this.rSquared,
+                iterations: this.iterations,
+                status: this.status
+            };
+        }
+        
+        if (this.method === 'huber' || this.method === 'ransac') {
+            return this.runRobust();
+        }
+        
+        if (this.usesNormalEquations()) {
+            return this.runPolynomial();
+        }
+        
+        this.calculateSlope();
+        this.calculateIntercept();
+        this.predict();
+        this.calculateResiduals();
+        this.calculateMSE();
+        this.calculateRSquared();
+        this.calculateInference();
+        
+        this.currentStep = 4; // All steps complete
+        
+        return {
+            slope: this.slope,
+            intercept: this.intercept,
+            mse: this.mse,
+            rSquared: this.rSquared
+        };
+    },
+
+    /**
+     * Fit the polynomial in one go
+     */
+    runPolynomial: function() {
+        const coefficients = this.fitPolynomial(this.degree);
+        if (!coefficients) {
+            console.warn('Need at least', this.degree + 1, 'distinct x values for degree', this.degree);
+            return null;
+        }
+        
+        this.coefficients = coefficients;
+        this.syncLineFromCoefficients();
+        this.evaluate();
+        this.calculateInference();
+        this.currentStep = 4; // All steps complete
+        
+        return {
+            slope: this.slope,
+            intercept: this.intercept,
+            coefficients: this.coefficients,
+            mse: this.mse,
+            rSquared: this.rSquared
+        };
+    },
+
+    /**
+     * Execute one polynomial fitting step
+     * @returns {object} Step information
+     */
+    stepPolynomial: function() {
+        const size = this.degree + 1;
+        let stepInfo = {};
+        
+        if (this.penalty === 'none' && this.points.length < size) {
+            return {
+                step: this.currentStep,
+                title: "Not Enough Points",
+                description: `A degree ${this.degree} curve has ${size} coefficients, so it needs at least ${size} points.`,
+                highlight: 'complete'
+            };
+        }
+        
+        switch(this.currentStep) {
+            case 0:
+                stepInfo = {
+                    step: 1,
+                    title: "Build Polynomial Features",
+                    description: `Each point becomes a row [1, x, x², ..., x^${this.degree}]:\n• Design matrix X is ${this.points.length} × ${size}\n• x is rescaled to [-1, 1] first so x^${this.degree} stays manageable`,
+                    highlight: 'features'
+                };
+                break;
+                
+            case 1:
+                const equations = {
+                    none: `Setting the MSE gradient to zero gives:\n• (XᵀX)·b = Xᵀy\n• ${size} equations, ${size} unknown coefficients`,
+                    ridge: `Adding the ridge penalty λ·Σbⱼ² gives:\n• (XᵀX + nλ·I)·b = Xᵀy\n• nλ = ${(this.points.length * this.lambda).toPrecision(2)} is added to the diagonal (except for b₀)`,
+                    lasso: `The lasso penalty λ·Σ|bⱼ| has no closed form:\n• Update one coefficient at a time (coordinate descent)\n• Soft-threshold each update by λ/2 = ${(this.lambda / 2).toPrecision(2)}`
+                };
+                stepInfo = {
+                    step: 2,
+                    title: this.penalty === 'lasso' ? "Set Up Coordinate Descent" : "Form Normal Equations",
+                    description: equations[this.penalty],
+                    highlight: 'equations'
+                };
+                break;
+                
+            case 2:
+                const coefficients = this.fitPolynomial(this.degree);
+                if (!coefficients) {
+                    return {
+                        step: this.currentStep,
+                        title: "Singular Fit",
+                        description: `The normal equations have no unique solution: a degree ${this.degree} curve needs at least ${size} distinct x values.\nLower the degree or add a ridge penalty.`,
+                        highlight: 'complete'
+                    };
+                }
+                this.coefficients = coefficients;
+                this.syncLineFromCoefficients();
+                const zeroed = this.coefficients.slice(1).filter(b => b === 0).length;
+                stepInfo = {
+                    step: 3,
+                    title: "Solve for Coefficients",
+                    description: `${this.penalty === 'lasso' ? 'Coordinate descent' : 'Gaussian elimination'} gives (scaled units):\n${this.coefficients.map((b, j) => `• b${j} = ${b.toFixed(4)}`).join('\n')}${this.penalty === 'lasso' ? `\n${zeroed} coefficient(s) shrunk to exactly 0` : ''}`,
+                    highlight: 'curve'
+                };
+                break;
+                
+            case 3:
+                this.evaluate();
+                this.calculateInference();
+                stepInfo = {
+                    step: 4,
+                    title: "Evaluate Model",
+                    description: `Measuring how good our curve is:\n• MSE = ${this.mse.toFixed(2)}\n• R² = ${(this.rSquared * 100).toFixed(1)}% of variance explained\nCompare degrees in the Error vs Degree chart.`,
+                    highlight: 'complete'
+                };
+                break;
+                
+            default:
+                stepInfo = {
+                    step: this.currentStep,
+                    title: "Complete",
+                    description: "Algorithm finished! Adjust parameters or try new data.",
+                    highlight: 'complete'
+                };
+        }
+        
+        this.currentStep++;
+        return stepInfo;
+    },
+
+    /**
+     * Execute single step (for step-by-step mode)
+     * @returns {object} Step information
+     */
+    step: function() {
+        if (this.method === 'gradient-descent') {
+            return this.stepGradientDescent();
+        }
+        
+        if (this.method === 'huber' || this.method === 'ransac') {
+            return this.stepRobust();
+        }
+        
+        if (this.usesNormalEquations()) {
+            return this.stepPolynomial();
+        }
+        
+        let stepInfo = {};
+        
+        switch(this.currentStep) {
+            case 0:
+                // Step 1: Calculate means
+                const means = this.calculateMeans();
+                stepInfo = {
+                    step: 1,
+                    title: "Calculate Means",
+                    description: `Finding the center of our data:\n• Mean X = ${means.meanX.toFixed(2)}\n• Mean Y = ${means.meanY.toFixed(2)}`,
+                    highlight: 'means'
+                };
+                break;
+                
+            case 1:
+                // Step 2: Calculate slope
+                this.calculateSlope();
                 stepInfo = {
                     step: 2,
                     title: "Calculate Slope",
@@ -268,10 +1538,11 @@ const LinearRegression = {
                 this.calculateResiduals();
                 this.calculateMSE();
                 this.calculateRSquared();
+                this.calculateInference();
                 stepInfo = {
                     step: 4,
                     title: "Evaluate Model",
-                    description: `Measuring how good our line is:\n• MSE = ${this.mse.toFixed(2)}\n• R² = ${(this.rSquared * 100).toFixed(1)}% of variance explained`,
+                    description: `Measuring how good our line is:\n• MSE = ${this.mse.toFixed(2)}\n• R² = ${(this.rSquared * 100).toFixed(1)}% of variance explained${this.inference ? `\n• Slope = ${this.slope.toFixed(4)} ± ${(this.inference.tCritical * this.inference.slope.se).toFixed(4)} (95%), p ${this.inference.slope.p < 0.0001 ? '' : '= '}${Statistics.formatPValue(this.inference.slope.p)}` : ''}`,
                     highlight: 'complete'
                 };
                 break;
@@ -294,16 +1565,65 @@ const LinearRegression = {
      * @param {object} viz - Visualization object
      * @param {boolean} showResiduals - Whether to show residual lines
      */
-    visualize: function(viz, showResiduals = true) {
+    visualize: function(viz, showResiduals = this.showResiduals) {
         viz.clear();
         viz.drawGrid();
         
+        // 95% prediction (light) and confidence (dark) bands
+        if (this.showIntervals && this.inference && this.currentStep >= 4) {
+            viz.drawBand(
+                x => this.predictValue(x) - this.intervalAt(x).prediction,
+                x => this.predictValue(x) + this.intervalAt(x).prediction,
+                viz.colors.point, 0.08
+            );
+            viz.drawBand(
+                x => this.predictValue(x) - this.intervalAt(x).confidence,
+                x => this.predictValue(x) + this.intervalAt(x).confidence,
+                viz.colors.point, 0.2
+            );
+        }
+        
         // Draw points
         viz.drawPoints(this.points);
         
-        // Draw regression line if calculated
-        if (this.currentStep >= 3) {
-            viz.drawRegressionLine(this.slope, this.intercept);
+        const robust = this.method === 'huber' || this.method === 'ransac';
+        
+        // Ordinary least squares for comparison
+        if (robust && this.showOLS) {
+            const ols = this.fitPolynomial(this.degree, this.points, 'none');
+            if (ols) {
+                viz.drawCurve(x => this.evaluatePolynomial(ols, x), '#94a3b8', 2);
+            }
+        }
+        
+        // RANSAC trial: the sampled points, their candidate fit and its consensus set
+        if (this.method === 'ransac' && this.ransac && this.ransac.candidate) {
+            this.ransac.consensus.forEach(i => {
+                viz.drawPoint(this.points[i].x, this.points[i].y, '#10b981', 8);
+            });
+            viz.drawCurve(x => this.evaluatePolynomial(this.ransac.candidate, x), '#10b981', 1.5);
+            this.ransac.sample.forEach(i => {
+                viz.drawPoint(this.points[i].x, this.points[i].y, '#f59e0b', 14, false);
+            });
+        }
+        
+        // Flag outliers of a finished robust fit
+        if (robust && this.inliers.length === this.points.length) {
+            this.points.forEach((point, i) => {
+                if (!this.inliers[i]) {
+                    viz.drawPoint(point.x, point.y, '#ef4444', 13, false);
+                }
+            });
+        }
+        
+        // Draw regression line if calculated (iterative methods show it from the first step)
+        const lineReady = this.method === 'least-squares' ? this.currentStep >= 3 : this.currentStep >= 1;
+        if (lineReady && (this.method !== 'ransac' || (this.ransac && this.ransac.best))) {
+            if (this.degree === 1) {
+                viz.drawRegressionLine(this.slope, this.intercept);
+            } else {
+                viz.drawCurve(x => this.predictValue(x));
+            }
             
             // Draw residual lines
             if (showResiduals && this.predictions.length > 0) {
@@ -320,7 +1640,7 @@ const LinearRegression = {
         }
         
         // Draw mean lines if in step 1
-        if (this.currentStep === 1) {
+        if (this.method === 'least-squares' && this.degree === 1 && this.currentStep === 1) {
             const { meanX, meanY } = this.calculateMeans();
             viz.drawLine(0, meanY, viz.width, meanY, '#10b981', 1, true);
             viz.drawLine(meanX, 0, meanX, viz.height, '#10b981', 1, true);
@@ -329,19 +1649,328 @@ const LinearRegression = {
         }
     },
 
+    /**
+     * Draw auxiliary charts
+     * @param {object} charts - Charts object
+     */
+    drawCharts: function(charts) {
+        if (this.points.length < 2) return;
+        
+        if (this.degree === 1) {
+            this.drawLossSurface(charts);
+        }
+        this.drawDegreeReport(charts);
+        
+        if (this.penalty !== 'none') {
+            this.drawCoefficientPath(charts);
+        }
+        
+        this.drawDiagnostics(charts);
+    },
+
+    /**
+     * Draw residual diagnostics for the current fit:
+     * residuals vs fitted values, a residual histogram and a normal Q-Q plot
+     * @param {object} charts - Charts object
+     */
+    drawDiagnostics: function(charts) {
+        const fitted = this.predictions;
+        const residuals = this.residuals;
+        if (residuals.length < 3 || fitted.length !== residuals.length) return;
+        if (!residuals.every(isFinite) || !fitted.every(isFinite)) return;
+        
+        const n = residuals.length;
+        const sd = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / n) || 1;
+        const outlier = i => this.inliers.length === n && !this.inliers[i];
+        
+        // Residuals vs fitted: should be a shapeless band around 0
+        const scatter = charts.panel('residual-fitted', 'Residuals vs Fitted');
+        const maxResidual = Math.max(...residuals.map(Math.abs), 2 * sd) * 1.1;
+        charts.setRange(scatter, Math.min(...fitted), Math.max(...fitted), -maxResidual, maxResidual);
+        charts.drawAxes(scatter, 'fitted ŷ', 'residual');
+        
+        const { xMin, xMax } = scatter.range;
+        charts.drawLine(scatter, [{ x: xMin, y: 0 }, { x: xMax, y: 0 }], '#94a3b8', 1);
+        charts.drawLine(scatter, [{ x: xMin, y: 2 * sd }, { x: xMax, y: 2 * sd }], '#fbbf24', 1, true);
+        charts.drawLine(scatter, [{ x: xMin, y: -2 * sd }, { x: xMax, y: -2 * sd }], '#fbbf24', 1, true);
+        
+        const dots = residuals.map((r, i) => ({ x: fitted[i], y: r, outlier: outlier(i) }));
+        charts.drawDots(scatter, dots.filter(d => !d.outlier), '#4f46e5');
+        charts.drawDots(scatter, dots.filter(d => d.outlier), '#ef4444');
+        
+        // Histogram with the matching normal curve N(0, sd²)
+        const histogram = charts.panel('residual-histogram', 'Residual Histogram');
+        const binCount = Math.ceil(Math.log2(n) + 1); // Sturges' rule
+        const binWidth = 2 * maxResidual / binCount;
+        const counts = new Array(binCount).fill(0);
+        residuals.forEach(r => {
+            const bin = Math.min(binCount - 1, Math.max(0, Math.floor((r + maxResidual) / binWidth)));
+            counts[bin]++;
+        });
+        
+        const normal = [];
+        for (let i = 0; i <= 60; i++) {
+            const r = -maxResidual + i * 2 * maxResidual / 60;
+            const density = Math.exp(-r * r / (2 * sd * sd)) / (sd * Math.sqrt(2 * Math.PI));
+            normal.push({ x: r, y: density * n * binWidth });
+        }
+        
+        charts.setRange(histogram, -maxResidual, maxResidual, 0, Math.max(...counts, normal[30].y) * 1.15);
+        charts.drawAxes(histogram, 'residual', 'count');
+        charts.drawBars(histogram, counts.map((count, i) => ({
+            x0: -maxResidual + i * binWidth,
+            x1: -maxResidual + (i + 1) * binWidth,
+            y: count
+        })), '#a5b4fc');
+        charts.drawLine(histogram, normal, '#ef4444', 1.5);
+        
+        // Normal Q-Q: standardized residuals against normal quantiles (Blom positions)
+        const qq = charts.panel('residual-qq', 'Normal Q-Q Plot');
+        const sorted = residuals.map((r, i) => ({ value: r / sd, outlier: outlier(i) }))
+            .sort((a, b) => a.value - b.value);
+        const quantiles = sorted.map((_, i) => Statistics.normalQuantile((i + 1 - 0.375) / (n + 0.25)));
+        const limit = Math.max(...sorted.map(s => Math.abs(s.value)), ...quantiles.map(Math.abs)) * 1.1;
+        
+        charts.setRange(qq, -limit, limit, -limit, limit);
+        charts.drawAxes(qq, 'theoretical quantile', 'standardized residual');
+        charts.drawLine(qq, [{ x: -limit, y: -limit }, { x: limit, y: limit }], '#94a3b8', 1, true);
+        
+        const qqDots = sorted.map((s, i) => ({ x: quantiles[i], y: s.value, outlier: s.outlier }));
+        charts.drawDots(qq, qqDots.filter(d => !d.outlier), '#4f46e5');
+        charts.drawDots(qq, qqDots.filter(d => d.outlier), '#ef4444');
+    },
+
+    /**
+     * Draw how each coefficient shrinks as λ grows (log-spaced λ from 10⁻⁴ to 10¹).
+     * The path doesn't depend on the current λ, so it is only refitted when the data,
+     * degree or penalty changes.
+     * @param {object} charts - Charts object
+     */
+    drawCoefficientPath: function(charts) {
+        const chart = charts.panel('coefficient-path', `Coefficient Path (${this.penalty === 'ridge' ? 'Ridge' : 'Lasso'})`);
+        const palette = ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6',
+                         '#ec4899', '#14b8a6', '#f97316', '#6366f1', '#84cc16'];
+        
+        const cached = this.coefficientPath;
+        if (!cached || cached.points !== this.points || cached.degree !== this.degree || cached.penalty !== this.penalty) {
+            const samples = [];
+            for (let logLambda = -4; logLambda <= 1.001; logLambda += 0.125) {
+                const coefficients = this.fitPolynomial(this.degree, this.points, this.penalty, Math.pow(10, logLambda));
+                if (coefficients) samples.push({ logLambda, coefficients });
+            }
+            this.coefficientPath = { points: this.points, degree: this.degree, penalty: this.penalty, samples };
+        }
+        
+        const samples = this.coefficientPath.samples;
+        if (samples.length === 0) return;
+        
+        // Clip the y range so one exploding coefficient doesn't flatten the rest
+        const values = samples.flatMap(s => s.coefficients.slice(1));
+        const sorted = values.map(Math.abs).sort((a, b) => a - b);
+        const limit = Math.max(0.1, sorted[Math.floor(sorted.length * 0.95)] * 1.1);
+        charts.setRange(chart, -4, 1, -limit, limit);
+        charts.drawAxes(chart, 'log₁₀ λ', 'coefficient');
+        
+        charts.drawLine(chart, [{ x: -4, y: 0 }, { x: 1, y: 0 }], '#94a3b8', 1);
+        const current = Math.log10(this.lambda);
+        charts.drawLine(chart, [{ x: current, y: -limit }, { x: current, y: limit }], '#1e293b', 1, true);
+        
+        for (let j = 1; j <= this.degree; j++) {
+            const color = palette[(j - 1) % palette.length];
+            charts.drawLine(chart, samples.map(s => ({ x: s.logLambda, y: s.coefficients[j] })), color, 1.5);
+        }
+        
+        const area = charts.plotArea(chart);
+        for (let j = 1; j <= this.degree; j++) {
+            charts.drawText(chart, `b${j}`, area.left + area.width - 24, area.top + 12 * j,
+                            palette[(j - 1) % palette.length], '10px Poppins');
+        }
+        
+        chart.onClick = (point) => {
+            const logLambda = Math.min(1, Math.max(-4, Math.round(point.x * 10) / 10));
+            setParameter('lambda', logLambda);
+        };
+    },
+
+    /**
+     * Draw the loss surface: MSE over (slope, intercept) with the optimizer's path
+     * @param {object} charts - Charts object
+     */
+    drawLossSurface: function(charts) {
+        const chart = charts.panel('loss-surface', 'Loss Surface: MSE(m, b)');
+        const optimum = this.closedFormSolution();
+        const sums = this.lossSums();
+        
+        // Frame the minimum, then widen (within reason) to show the path
+        const slopeSpan = Math.max(0.5, Math.abs(optimum.slope) * 1.5);
+        const interceptSpan = Math.max(100, Math.abs(optimum.intercept) * 1.5);
+        let range = {
+            xMin: optimum.slope - slopeSpan, xMax: optimum.slope + slopeSpan,
+            yMin: optimum.intercept - interceptSpan, yMax: optimum.intercept + interceptSpan
+        };
+        this.path.forEach(p => {
+            if (!isFinite(p.slope) || !isFinite(p.intercept)) return;
+            range.xMin = Math.max(Math.min(range.xMin, p.slope), optimum.slope - 4 * slopeSpan);
+            range.xMax = Math.min(Math.max(range.xMax, p.slope), optimum.slope + 4 * slopeSpan);
+            range.yMin = Math.max(Math.min(range.yMin, p.intercept), optimum.intercept - 4 * interceptSpan);
+            range.yMax = Math.min(Math.max(range.yMax, p.intercept), optimum.intercept + 4 * interceptSpan);
+        });
+        charts.setRange(chart, range.xMin, range.xMax, range.yMin, range.yMax);
+        
+        // Log-scaled MSE, quantised into bands so the contours stand out
+        const minLoss = this.calculateMSEAt(optimum.slope, optimum.intercept, sums);
+        const corners = [
+            [range.xMin, range.yMin], [range.xMin, range.yMax],
+            [range.xMax, range.yMin], [range.xMax, range.yMax]
+        ];
+        const maxLoss = Math.max(...corners.map(([m, b]) => this.calculateMSEAt(m, b, sums)));
+        const logSpan = Math.log(1 + maxLoss - minLoss) || 1;
+        const bands = 14;
+        
+        charts.drawHeatmap(chart,
+            (m, b) => Math.log(1 + this.calculateMSEAt(m, b, sums) - minLoss) / logSpan,
+            (value) => {
+                const band = Math.min(bands - 1, Math.floor(value * bands));
+                const t = band / (bands - 1);
+                const shade = band % 2 === 0 ? 0 : 8;
+                return [
+                    49 + t * (238 - 49) - shade,
+                    46 + t * (242 - 46) - shade,
+                    129 + t * (255 - 129) - shade
+                ];
+            }
+        );
+        
+        charts.drawAxes(chart, 'slope (m)', 'intercept (b)');
+        charts.drawMarker(chart, optimum.slope, optimum.intercept, '#10b981', 'global min');
+        
+        // Optimizer trajectory (gradient descent) or the closed-form jump
+        const path = this.path.filter(p => isFinite(p.slope) && isFinite(p.intercept))
+            .map(p => ({ x: p.slope, y: p.intercept }));
+        if (path.length > 0) {
+            charts.drawLine(chart, path, '#fbbf24', 1.5);
+            charts.drawDots(chart, path, '#fbbf24', 2);
+            charts.drawDots(chart, [path[path.length - 1]], '#ef4444', 5);
+        } else if (this.currentStep >= 3) {
+            charts.drawDots(chart, [{ x: this.slope, y: this.intercept }], '#ef4444', 5);
+        }
+    },
+
+    /**
+     * Draw training and leave-one-out MSE for every degree, plus a table with R²
+     * Clicking a degree loads it into the Polynomial Degree slider.
+     * @param {object} charts - Charts object
+     */
+    drawDegreeReport: function(charts) {
+        const report = this.degreeReport.filter(r => isFinite(r.looMSE));
+        if (report.length === 0) return;
+        
+        const chart = charts.panel('degree-report', 'Error vs Degree (log MSE)');
+        const logs = report.flatMap(r => [Math.log10(r.mse || 1e-9), Math.log10(r.looMSE || 1e-9)]);
+        charts.setRange(chart, 1, this.maxDegree, Math.floor(Math.min(...logs)), Math.ceil(Math.max(...logs)));
+        charts.drawAxes(chart, 'degree', 'log₁₀ MSE');
+        
+        charts.drawLine(chart, [{ x: this.degree, y: chart.range.yMin }, { x: this.degree, y: chart.range.yMax }], '#94a3b8', 1, true);
+        
+        const train = report.map(r => ({ x: r.degree, y: Math.log10(r.mse || 1e-9) }));
+        const loo = report.map(r => ({ x: r.degree, y: Math.log10(r.looMSE || 1e-9) }));
+        charts.drawLine(chart, train, '#4f46e5');
+        charts.drawDots(chart, train, '#4f46e5');
+        charts.drawLine(chart, loo, '#ef4444');
+        charts.drawDots(chart, loo, '#ef4444');
+        
+        const area = charts.plotArea(chart);
+        charts.drawText(chart, '● training', area.left + 6, area.top + 14, '#4f46e5');
+        charts.drawText(chart, '● leave-one-out', area.left + 6, area.top + 28, '#ef4444');
+        
+        chart.onClick = (point) => {
+            const degree = Math.min(this.maxDegree, Math.max(1, Math.round(point.x)));
+            setParameter('poly-degree', degree);
+        };
+        
+        // Exact numbers per degree
+        const table = charts.htmlPanel('degree-table', 'MSE and R² per Degree');
+        const rows = report.map(r => `
+            <tr class="${r.degree === this.degree ? 'selected' : ''}" data-degree="${r.degree}">
+                <td>${r.degree}</td>
+                <td>${r.mse.toFixed(1)}</td>
+                <td>${(r.rSquared * 100).toFixed(1)}%</td>
+                <td>${r.looMSE.toFixed(1)}</td>
+            </tr>
+        `).join('');
+        table.innerHTML = `
+            <table class="chart-table">
+                <tr><th>Degree</th><th>MSE</th><th>R²</th><th>LOO MSE</th></tr>
+                ${rows}
+            </table>
+        `;
+        table.onclick = (e) => {
+            const row = e.target.closest('tr[data-degree]');
+            if (row) setParameter('poly-degree', parseInt(row.dataset.degree));
+        };
+    },
+
     /**
      * Get current statistics for display
      * @returns {object} Statistics object
      */
     getStats: function() {
-        return {
-            'Points': this.points.length,
-            'Slope (m)': this.slope.toFixed(4),
-            'Intercept (b)': this.intercept.toFixed(2),
-            'MSE': this.mse.toFixed(2),
-            'R² Score': (this.rSquared * 100).toFixed(1) + '%',
-            'Step': this.currentStep + '/4'
-        };
+        const stats = { 'Points': this.points.length };
+        
+        if (this.degree === 1) {
+            stats['Slope (m)'] = this.slope.toFixed(4);
+            stats['Intercept (b)'] = this.intercept.toFixed(2);
+        } else {
+            stats['Degree'] = this.degree;
+        }
+        
+        if (this.inference) {
+            stats['Residual SE (σ)'] = this.inference.sigma.toFixed(2);
+            if (this.inference.slope) {
+                stats['SE(m)'] = this.inference.slope.se.toFixed(4);
+                stats['t(m)'] = this.inference.slope.t.toFixed(2);
+                stats['p(m)'] = Statistics.formatPValue(this.inference.slope.p);
+                stats['SE(b)'] = this.inference.intercept.se.toFixed(2);
+                stats['t(b)'] = this.inference.intercept.t.toFixed(2);
+                stats['p(b)'] = Statistics.formatPValue(this.inference.intercept.p);
+            }
+            stats['t* (95%, df = ' + this.inference.df + ')'] = this.inference.tCritical.toFixed(3);
+        }
+        
+        if (this.penalty !== 'none') {
+            stats['Penalty'] = `${this.penalty === 'ridge' ? 'Ridge' : 'Lasso'} (λ = ${this.lambda.toPrecision(2)})`;
+        }
+        
+        if (this.method === 'huber' || this.method === 'ransac') {
+            stats['MSE'] = this.mse.toFixed(2);
+            stats['R² Score'] = (this.rSquared * 100).toFixed(1) + '%';
+            stats['Outliers'] = this.inliers.filter(inlier => !inlier).length;
+            if (this.method === 'huber') {
+                stats['Iteration'] = this.iterations;
+            } else if (this.ransac) {
+                stats['Trial'] = this.ransac.trial + '/' + this.ransacTrials;
+                stats['Best Consensus'] = this.ransac.best ? this.ransac.best.consensus.length : 0;
+            }
+        } else if (this.method === 'gradient-descent') {
+            const statusLabels = {
+                idle: 'Not started',
+                training: 'Training',
+                converged: 'Converged ✓',
+                diverged: 'Diverged ✗',
+                stopped: 'Stopped'
+            };
+            
+            stats['Loss (MSE)'] = isFinite(this.mse) ? this.mse.toFixed(2) : '∞';
+            stats['R² Score'] = (this.rSquared * 100).toFixed(1) + '%';
+            stats['Iteration'] = this.iterations + '/' + this.maxIterations;
+            stats['Status'] = statusLabels[this.status];
+        } else {
+            stats['MSE'] = this.mse.toFixed(2);
+            stats['R² Score'] = (this.rSquared * 100).toFixed(1) + '%';
+            stats['Step'] = this.currentStep + '/4';
+        }
+        
+        return stats;
     },
 
     /**
@@ -355,6 +1984,11 @@ const LinearRegression = {
         this.residuals = [];
         this.mse = 0;
         this.rSquared = 0;
+        this.resetGradientDescent();
+        this.inliers = [];
+        this.weights = [];
+        this.ransac = null;
+        this.inference = null;
     }
 };
 
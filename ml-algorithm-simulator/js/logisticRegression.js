@@ -0,0 +1,436 @@
+/**
+ * logisticRegression.js
+ * Logistic Regression Classifier Implementation
+ * Trained with batch gradient descent, one visible step at a time
+ */
+
+const LogisticRegression = {
+    // Data
+    points: [],
+    usesLabels: true,        // Points carry a class label (0 or 1)
+    maxPoints: 2000,         // Every gradient update visits every point
+    
+    // Model: p(class 1) = σ(w0 + w1·x̃ + w2·ỹ) on standardized coordinates
+    weights: [0, 0, 0],
+    scaling: null,           // {xMean, xStd, yMean, yStd}
+    
+    // Training settings
+    learningRate: 0.5,
+    maxIterations: 500,
+    l2: 0.01,                // L2 penalty strength (bias is not penalized)
+    updatesPerStep: 10,      // Gradient updates per "Step Forward"
+    tolerance: 1e-4,         // Stop when the gradient is this small
+    
+    // Training state
+    currentStep: 0,
+    iterations: 0,
+    status: 'idle',          // idle | training | converged | diverged | stopped
+    gradientNorm: 0,
+    lossHistory: [],
+    logLoss: 0,
+    accuracy: 0,
+    
+    // Timeline: fields that make up a step's state, and those that animate smoothly
+    stateKeys: ['weights', 'currentStep', 'iterations', 'status', 'gradientNorm',
+                'lossHistory', 'logLoss', 'accuracy'],
+    tweenKeys: ['weights'],
+    
+    // Class labels (for visualization)
+    classColors: ['#ef4444', '#3b82f6'],
+    maxClasses: 2,           // Binary classifier
+    droppedPoints: 0,        // Points labeled beyond maxClasses, left out by Datasets.withLabels
+
+    /**
+     * Algorithm explanation
+     */
+    explanation: {
+        title: "Logistic Regression",
+        description: `
+            <p>Logistic Regression predicts the <strong>probability</strong> that a point belongs to class 1.</p>
+            
+            <h4>🎯 Goal</h4>
+            <p>Find weights that give class 1 points a probability near 1 and class 0 points a probability near 0.</p>
+            
+            <h4>📊 The Model</h4>
+            <div class="formula-box">
+                z = w₀ + w₁·x + w₂·y
+                <br>
+                p = σ(z) = 1 / (1 + e⁻ᶻ)
+            </div>
+            <p>The sigmoid σ squashes any number into (0, 1). The <strong>decision boundary</strong> is where p = 0.5, i.e. the straight line z = 0.</p>
+            
+            <h4>📉 Log-Loss</h4>
+            <div class="formula-box">
+                Loss = -(1/n) Σ [yᵢ·log(pᵢ) + (1 - yᵢ)·log(1 - pᵢ)] + (λ/2)·(w₁² + w₂²)
+            </div>
+            <p>Confident wrong answers are punished hardest. The L2 term λ keeps the weights small, so the probabilities stay soft.</p>
+            
+            <h4>🚶 Gradient Descent</h4>
+            <div class="formula-box">
+                ∂Loss/∂w = (1/n) Σ (pᵢ - yᵢ)·xᵢ + λ·w
+                <br>
+                w ← w - α · ∂Loss/∂w
+            </div>
+            <p>Coordinates are standardized first so one learning rate suits both axes.</p>
+            
+            <h4>⚠️ Things to Note</h4>
+            <ul>
+                <li>Only straight-line boundaries can be learned</li>
+                <li>With perfectly separable data and λ = 0 the weights grow forever and the surface becomes a hard step</li>
+            </ul>
+        `
+    },
+
+    /**
+     * Parameters
+     */
+    parameters: [
+        {
+            id: 'logistic-learning-rate',
+            name: 'Learning Rate (α)',
+            min: 0.05,
+            max: 5,
+            step: 0.05,
+            default: 0.5,
+            description: 'Step size of each gradient update'
+        },
+        {
+            id: 'logistic-iterations',
+            name: 'Iterations',
+            min: 50,
+            max: 2000,
+            step: 50,
+            default: 500,
+            description: 'Maximum gradient updates'
+        },
+        {
+            id: 'l2-strength',
+            name: 'L2 Strength (λ)',
+            min: 0,
+            max: 1,
+            step: 0.01,
+            default: 0.01,
+            description: 'Penalty on large weights (0 = none)'
+        }
+    ],
+
+    /**
+     * Initialize
+     * @param {Array} points - Labeled data points {x, y, label}
+     */
+    init: function(points) {
+        this.points = Datasets.withLabels(points, this.maxClasses);
+        this.droppedPoints = points.length - this.points.length;
+        
+        this.computeScaling();
+        this.reset();
+        
+        console.log('🧭 Logistic Regression initialized with', points.length, 'points');
+    },
+
+    /**
+     * Standardize coordinates: x̃ = (x - mean) / std
+     */
+    computeScaling: function() {
+        const n = this.points.length || 1;
+        const xMean = this.points.reduce((sum, p) => sum + p.x, 0) / n;
+        const yMean = this.points.reduce((sum, p) => sum + p.y, 0) / n;
+        const xStd = Math.sqrt(this.points.reduce((sum, p) => sum + Math.pow(p.x - xMean, 2), 0) / n);
+        const yStd = Math.sqrt(this.points.reduce((sum, p) => sum + Math.pow(p.y - yMean, 2), 0) / n);
+        
+        this.scaling = { xMean, xStd: xStd || 1, yMean, yStd: yStd || 1 };
+    },
+
+    /**
+     * Feature vector [1, x̃, ỹ] for a canvas point
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    features: function(x, y) {
+        const s = this.scaling;
+        return [1, (x - s.xMean) / s.xStd, (y - s.yMean) / s.yStd];
+    },
+
+    /**
+     * Sigmoid function σ(z) = 1 / (1 + e⁻ᶻ)
+     */
+    sigmoid: function(z) {
+        return 1 / (1 + Math.exp(-z));
+    },
+
+    /**
+     * Probability of class 1 at a canvas point
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    probability: function(x, y) {
+        const f = this.features(x, y);
+        return this.sigmoid(this.weights[0] * f[0] + this.weights[1] * f[1] + this.weights[2] * f[2]);
+    },
+
+    /**
+     * Compute log-loss (with the L2 term), accuracy and the gradient at the current weights
+     * @returns {Array} Gradient of the loss
+     */
+    evaluate: function() {
+        const n = this.points.length;
+        const gradient = [0, 0, 0];
+        let loss = 0;
+        let correct = 0;
+        
+        this.points.forEach(point => {
+            const f = this.features(point.x, point.y);
+            const p = this.probability(point.x, point.y);
+            const y = point.label === 1 ? 1 : 0;
+            
+            // Clamp so a confident mistake gives a large but finite loss
+            const clamped = Math.min(1 - 1e-12, Math.max(1e-12, p));
+            loss -= y * Math.log(clamped) + (1 - y) * Math.log(1 - clamped);
+            if ((p >= 0.5 ? 1 : 0) === y) correct++;
+            
+            for (let j = 0; j < 3; j++) {
+                gradient[j] += (p - y) * f[j] / n;
+            }
+        });
+        
+        // L2 penalty on w1, w2 only
+        for (let j = 1; j < 3; j++) {
+            gradient[j] += this.l2 * this.weights[j];
+        }
+        
+        this.logLoss = loss / n + this.l2 / 2 * (this.weights[1] * this.weights[1] + this.weights[2] * this.weights[2]);
+        this.accuracy = correct / n;
+        this.gradientNorm = Math.sqrt(gradient.reduce((sum, g) => sum + g * g, 0));
+        
+        return gradient;
+    },
+
+    /**
+     * Start training from zero weights (p = 0.5 everywhere)
+     */
+    startTraining: function() {
+        this.weights = [0, 0, 0];
+        this.iterations = 0;
+        this.status = 'training';
+        this.evaluate();
+        this.lossHistory = [this.logLoss];
+    },
+
+    /**
+     * Perform one gradient descent update
+     */
+    gradientStep: function() {
+        const gradient = this.evaluate();
+        
+        this.weights = this.weights.map((w, j) => w - this.learningRate * gradient[j]);
+        this.iterations++;
+        this.evaluate();
+        this.lossHistory.push(this.logLoss);
+        
+        if (!this.weights.every(isFinite) || !isFinite(this.logLoss)) {
+            this.status = 'diverged';
+        } else if (this.gradientNorm < this.tolerance) {
+            this.status = 'converged';
+        } else if (this.iterations >= this.maxIterations) {
+            this.status = 'stopped';
+        }
+    },
+
+    /**
+     * Run training to completion
+     */
+    run: function() {
+        if (this.points.length < 2) {
+            console.warn('Need more points');
+            return null;
+        }
+        
+        if (this.status !== 'training') {
+            this.startTraining();
+        }
+        while (this.status === 'training') {
+            this.gradientStep();
+        }
+        this.currentStep = Math.max(this.currentStep, 1);
+        
+        return {
+            weights: this.weights,
+            logLoss: this.logLoss,
+            accuracy: this.accuracy,
+            iterations: this.iterations
+        };
+    },
+
+    /**
+     * Step through training
+     * @returns {object} Step information
+     */
+    step: function() {
+        if (this.currentStep === 0) {
+            this.startTraining();
+            this.currentStep++;
+            return {
+                step: 1,
+                title: "Start with Zero Weights",
+                description: `All weights are 0, so every point gets p = 0.5:\n• Log-loss = ${this.logLoss.toFixed(4)} (= ln 2)\n• Each step applies ${this.updatesPerStep} gradient updates`,
+                highlight: 'surface'
+            };
+        }
+        
+        if (this.status !== 'training') {
+            const titles = {
+                converged: "Converged!",
+                diverged: "Diverged!",
+                stopped: "Iteration Limit Reached"
+            };
+            return {
+                step: 'Done',
+                title: titles[this.status],
+                description: this.status === 'diverged'
+                    ? `The loss blew up after ${this.iterations} updates. Try a smaller learning rate.`
+                    : `Trained for ${this.iterations} updates.\n• Log-loss = ${this.logLoss.toFixed(4)}\n• Accuracy = ${(this.accuracy * 100).toFixed(1)}%`,
+                highlight: 'complete'
+            };
+        }
+        
+        const previousLoss = this.logLoss;
+        for (let i = 0; i < this.updatesPerStep && this.status === 'training'; i++) {
+            this.gradientStep();
+        }
+        this.currentStep++;
+        
+        return {
+            step: `Iteration ${this.iterations}`,
+            title: "Gradient Descent Update",
+            description: `Moved the weights against the gradient:\n• Log-loss ${previousLoss.toFixed(4)} → ${this.logLoss.toFixed(4)}\n• Accuracy = ${(this.accuracy * 100).toFixed(1)}%\n• |gradient| = ${this.gradientNorm.toExponential(2)}`,
+            highlight: 'boundary'
+        };
+    },
+
+    /**
+     * Draw the line where p = level
+     * @param {object} viz - Visualization object
+     * @param {number} level - Probability level (0.5 = decision boundary)
+     * @param {string} color - Line color
+     * @param {number} width - Line width
+     * @param {boolean} dashed - Dashed line
+     */
+    drawContour: function(viz, level, color, width, dashed) {
+        const s = this.scaling;
+        const [w0, w1, w2] = this.weights;
+        const z = Math.log(level / (1 - level));
+        
+        // In canvas coordinates the contour is a·x + b·y + c = 0
+        const a = w1 / s.xStd;
+        const b = w2 / s.yStd;
+        const c = w0 - w1 * s.xMean / s.xStd - w2 * s.yMean / s.yStd - z;
+        
+        if (Math.abs(b) > Math.abs(a)) {
+            viz.drawLine(0, -c / b, viz.width, -(a * viz.width + c) / b, color, width, dashed);
+        } else if (Math.abs(a) > 1e-12) {
+            viz.drawLine(-c / a, 0, -(b * viz.height + c) / a, viz.height, color, width, dashed);
+        }
+    },
+
+    /**
+     * Visualize
+     * @param {object} viz - Visualization object
+     */
+    visualize: function(viz) {
+        viz.clear();
+        
+        // Probability surface: tinted towards the more likely class
+        if (this.currentStep > 0 && this.weights.every(isFinite)) {
+            const tints = this.classColors.map(color => [
+                parseInt(color.slice(1, 3), 16),
+                parseInt(color.slice(3, 5), 16),
+                parseInt(color.slice(5, 7), 16)
+            ]);
+            viz.drawField((x, y) => {
+                const p = this.probability(x, y);
+                const tint = tints[p >= 0.5 ? 1 : 0];
+                const strength = Math.abs(p - 0.5) * 2 * 0.35;
+                return tint.map(channel => 255 + (channel - 255) * strength);
+            });
+        }
+        
+        viz.drawGrid();
+        
+        if (this.currentStep > 0 && this.weights.some(w => w !== 0)) {
+            this.drawContour(viz, 0.25, '#64748b', 1, true);
+            this.drawContour(viz, 0.75, '#64748b', 1, true);
+            this.drawContour(viz, 0.5, '#8b5cf6', 3, false);
+        }
+        
+        // Draw points
+        this.points.forEach(point => {
+            const color = this.classColors[point.label % this.classColors.length];
+            viz.drawPoint(point.x, point.y, color, 10);
+        });
+    },
+
+    /**
+     * Draw auxiliary charts
+     * @param {object} charts - Charts object
+     */
+    drawCharts: function(charts) {
+        const history = this.lossHistory.filter(isFinite);
+        if (history.length < 2) return;
+        
+        const chart = charts.panel('logistic-loss', 'Log-Loss vs Iteration');
+        charts.setRange(chart, 0, history.length - 1, 0, Math.max(...history) * 1.1);
+        charts.drawAxes(chart, 'iteration', 'log-loss');
+        charts.drawLine(chart, history.map((loss, i) => ({ x: i, y: loss })), '#4f46e5');
+    },
+
+    /**
+     * Get stats
+     */
+    getStats: function() {
+        const statusLabels = {
+            idle: 'Not started',
+            training: 'Training',
+            converged: 'Converged ✓',
+            diverged: 'Diverged ✗',
+            stopped: 'Stopped'
+        };
+        
+        const stats = {
+            'Points': this.points.length,
+            'Log-Loss': isFinite(this.logLoss) ? this.logLoss.toFixed(4) : '∞',
+            'Accuracy': (this.accuracy * 100).toFixed(1) + '%',
+            'Weights (w₁, w₂)': `${this.weights[1].toFixed(2)}, ${this.weights[2].toFixed(2)}`,
+            'Bias (w₀)': this.weights[0].toFixed(2),
+            'Iteration': this.iterations + '/' + this.maxIterations,
+            'Status': statusLabels[this.status]
+        };
+        
+        if (this.droppedPoints > 0) {
+            stats['Dropped Points'] = `${this.droppedPoints} (only ${this.maxClasses} classes supported)`;
+        }
+        
+        return stats;
+    },
+
+    /**
+     * Reset
+     */
+    reset: function() {
+        this.weights = [0, 0, 0];
+        this.currentStep = 0;
+        this.iterations = 0;
+        this.status = 'idle';
+        this.lossHistory = [];
+        this.logLoss = 0;
+        this.accuracy = 0;
+        this.gradientNorm = 0;
+        if (this.points.length > 0) {
+            this.evaluate();
+        }
+    }
+};
+
+// Make globally available
+window.LogisticRegression = LogisticRegression;
+
+console.log('🧭 Logistic Regression module loaded');
\ No newline at end of file
@@ -8,8 +8,12 @@
 const App = {
     currentAlgorithm: 'linear-regression',
     dataPoints: [],
-    isRunning: false,
+    isRunning: false,        // Timeline playback in progress
     animationSpeed: 5,
+    playbackTimer: null,
+    maxPoints: 5000,         // Points an algorithm accepts unless it sets its own maxPoints
+    currentClass: 0,         // Label given to clicked points by classifiers
+    parameterValues: {},     // Last value of each parameter per algorithm: modules keep theirs across switches
     
     // References to DOM elements
     elements: {},
@@ -17,7 +21,11 @@ const App = {
     // Algorithm instances
     algorithms: {
         'linear-regression': LinearRegression,
+        'logistic-regression': LogisticRegression,
         'k-means': KMeans,
+        'gmm': GMM,
+        'agglomerative': Agglomerative,
+        'dbscan': DBSCAN,
         'decision-tree': DecisionTree
     }
 };
@@ -31,8 +39,12 @@ function init() {
     // Cache DOM elements
     cacheElements();
     
+    // Seed the random number generator from the UI
+    Random.setSeed(App.elements.seedInput.value);
+    
     // Initialize visualization
     Visualization.init('main-canvas');
+    Charts.init('insights-area');
     
     // Load default dataset
     loadDataset('sample1');
@@ -54,16 +66,23 @@ function cacheElements() {
         canvas: document.getElementById('main-canvas'),
         canvasOverlay: document.getElementById('canvas-overlay'),
         datasetSelect: document.getElementById('dataset-select'),
+        seedInput: document.getElementById('seed-input'),
         generateBtn: document.getElementById('generate-data-btn'),
         clearBtn: document.getElementById('clear-data-btn'),
         runBtn: document.getElementById('run-btn'),
         stepBtn: document.getElementById('step-btn'),
+        stepBackBtn: document.getElementById('step-back-btn'),
         resetBtn: document.getElementById('reset-btn'),
         speedSlider: document.getElementById('speed-slider'),
+        playBtn: document.getElementById('play-btn'),
+        timelineSlider: document.getElementById('timeline-slider'),
+        timelineLabel: document.getElementById('timeline-label'),
         parametersPanel: document.getElementById('parameters-panel'),
         explanationContent: document.getElementById('explanation-content'),
         stepInfo: document.getElementById('step-info'),
         statsContent: document.getElementById('stats-content'),
+        classSection: document.getElementById('class-section'),
+        classPicker: document.getElementById('class-picker'),
         helpModal: document.getElementById('help-modal'),
         helpLink: document.getElementById('help-link')
     };
@@ -86,6 +105,18 @@ function setupEventListeners() {
         loadDataset(e.target.value);
     });
     
+    // Random seed: restart the current run from the new seed
+    App.elements.seedInput.addEventListener('change', (e) => {
+        Random.setSeed(e.target.value);
+        resetAlgorithm();
+    });
+    
+    // Class picker: label for clicked points
+    App.elements.classPicker.addEventListener('click', (e) => {
+        const swatch = e.target.closest('[data-class]');
+        if (swatch) selectClass(parseInt(swatch.dataset.class));
+    });
+    
     // Generate random data
     App.elements.generateBtn.addEventListener('click', () => {
         generateRandomData();
@@ -103,9 +134,15 @@ function setupEventListeners() {
     
     // Step through
     App.elements.stepBtn.addEventListener('click', () => {
+        pausePlayback();
         stepAlgorithm();
     });
     
+    // Step back
+    App.elements.stepBackBtn.addEventListener('click', () => {
+        stepBackAlgorithm();
+    });
+    
     // Reset
     App.elements.resetBtn.addEventListener('click', () => {
         resetAlgorithm();
@@ -116,6 +153,16 @@ function setupEventListeners() {
         App.animationSpeed = parseInt(e.target.value);
     });
     
+    // Timeline playback and scrubbing
+    App.elements.playBtn.addEventListener('click', () => {
+        togglePlayback();
+    });
+    
+    App.elements.timelineSlider.addEventListener('input', (e) => {
+        pausePlayback();
+        showFrame(parseInt(e.target.value));
+    });
+    
     // Canvas click to add points
     App.elements.canvas.addEventListener('click', (e) => {
         const rect = App.elements.canvas.getBoundingClientRect();
@@ -124,6 +171,19 @@ function setupEventListeners() {
         addPoint(x, y);
     });
     
+    // Canvas hover, for algorithms that link the canvas to a chart
+    App.elements.canvas.addEventListener('mousemove', (e) => {
+        const algo = App.algorithms[App.currentAlgorithm];
+        if (typeof algo.onCanvasHover !== 'function') return;
+        const rect = App.elements.canvas.getBoundingClientRect();
+        algo.onCanvasHover(e.clientX - rect.left, e.clientY - rect.top);
+    });
+    
+    App.elements.canvas.addEventListener('mouseleave', () => {
+        const algo = App.algorithms[App.currentAlgorithm];
+        if (typeof algo.onCanvasHover === 'function') algo.onCanvasHover(null, null);
+    });
+    
     // Help modal
     App.elements.helpLink.addEventListener('click', (e) => {
         e.preventDefault();
@@ -156,10 +216,11 @@ function selectAlgorithm(algoId) {
     const algo = App.algorithms[algoId];
     
     // Update explanation
-    App.elements.explanationContent.innerHTML = algo.explanation.description;
+    updateExplanation();
     
     // Update parameters panel
     updateParametersPanel(algo.parameters);
+    updateClassPicker();
     
     // Initialize algorithm with current data
     initializeCurrentAlgorithm();
@@ -170,32 +231,90 @@ function selectAlgorithm(algoId) {
     console.log('Selected algorithm:', algoId);
 }
 
+/**
+ * Show the current algorithm's explanation (some depend on its parameters)
+ */
+function updateExplanation() {
+    const algo = App.algorithms[App.currentAlgorithm];
+    App.elements.explanationContent.innerHTML = algo.explanation.description;
+}
+
+/**
+ * Show one swatch per class the current classifier supports, or hide the picker
+ */
+function updateClassPicker() {
+    const algo = App.algorithms[App.currentAlgorithm];
+    App.elements.classSection.classList.toggle('hidden', !algo.usesLabels);
+    if (!algo.usesLabels) return;
+    
+    App.currentClass = Math.min(App.currentClass, algo.maxClasses - 1);
+    App.elements.classPicker.innerHTML = algo.classColors.slice(0, algo.maxClasses).map((color, i) => `
+        <button class="class-swatch ${i === App.currentClass ? 'selected' : ''}"
+                data-class="${i}" style="background: ${color}" title="Class ${i}">${i}</button>
+    `).join('');
+}
+
+/**
+ * Choose the class given to clicked points
+ * @param {number} label - Class index
+ */
+function selectClass(label) {
+    App.currentClass = label;
+    updateClassPicker();
+}
+
 /**
  * Update parameters panel based on algorithm
  */
 function updateParametersPanel(params) {
     let html = '<h3>⚙️ Parameters</h3>';
     
+    // Show what the module is using: its last setting, or the default if never changed
+    const saved = App.parameterValues[App.currentAlgorithm] || {};
+    const valueOf = (param) => param.id in saved ? saved[param.id] : param.default;
+    
     params.forEach(param => {
+        const value = valueOf(param);
         if (param.type === 'checkbox') {
             html += `
                 <div class="parameter-group">
                     <label>
                         <input type="checkbox" id="${param.id}" 
-                               ${param.default ? 'checked' : ''}>
+                               ${value ? 'checked' : ''}>
                         ${param.name}
                     </label>
                     <p class="parameter-description">${param.description}</p>
                 </div>
             `;
+        } else if (param.type === 'button') {
+            html += `
+                <div class="parameter-group">
+                    <button id="${param.id}" class="btn-secondary parameter-button">${param.name}</button>
+                    <p class="parameter-description">${param.description}</p>
+                </div>
+            `;
+        } else if (param.type === 'select') {
+            const options = param.options.map(option => `
+                <option value="${option.value}" ${String(option.value) === String(value) ? 'selected' : ''}>
+                    ${option.label}
+                </option>
+            `).join('');
+            
+            html += `
+                <div class="parameter-group">
+                    <label for="${param.id}">${param.name}</label>
+                    <select id="${param.id}" class="parameter-select">${options}</select>
+                    <p class="parameter-description">${param.description}</p>
+                </div>
+            `;
         } else {
             html += `
                 <div class="parameter-group">
                     <label for="${param.id}">${param.name}</label>
                     <input type="range" id="${param.id}" 
                            min="${param.min}" max="${param.max}" 
-                           step="${param.step}" value="${param.default}">
-                    <span class="parameter-value" id="${param.id}-value">${param.default}</span>
+                           step="${param.step}" value="${value}">
+                    <span class="parameter-value" id="${param.id}-value">${value}</span>
                     <p class="parameter-description">${param.description}</p>
                 </div>
             `;
@@ -204,16 +323,37 @@ function updateParametersPanel(params) {
     
     App.elements.parametersPanel.innerHTML = html;
     
-    // Add change listeners to sliders
+    // Add change listeners to inputs
     params.forEach(param => {
-        if (param.type !== 'checkbox') {
+        if (param.type === 'checkbox') {
+            document.getElementById(param.id).addEventListener('change', (e) => {
+                onParameterChange(param.id, e.target.checked);
+            });
+        } else if (param.type === 'button') {
+            document.getElementById(param.id).addEventListener('click', () => {
+                onParameterChange(param.id, true);
+            });
+        } else if (param.type === 'select') {
+            document.getElementById(param.id).addEventListener('change', (e) => {
+                onParameterChange(param.id, e.target.value);
+            });
+        } else {
             const slider = document.getElementById(param.id);
             const valueDisplay = document.getElementById(`${param.id}-value`);
             
             slider.addEventListener('input', (e) => {
                 valueDisplay.textContent = e.target.value;
-                onParameterChange(param.id, e.target.value);
+                if (!param.applyOnRelease) {
+                    onParameterChange(param.id, e.target.value);
+                }
             });
+            
+            // Costly parameters wait until the slider is let go
+            if (param.applyOnRelease) {
+                slider.addEventListener('change', (e) => {
+                    onParameterChange(param.id, e.target.value);
+                });
+            }
         }
     });
 }
@@ -224,6 +364,12 @@ function updateParametersPanel(params) {
 function onParameterChange(paramId, value) {
     const algo = App.algorithms[App.currentAlgorithm];
     
+    // Remember the setting, so the panel matches the module when this algorithm is selected again
+    if (!App.parameterValues[App.currentAlgorithm]) {
+        App.parameterValues[App.currentAlgorithm] = {};
+    }
+    App.parameterValues[App.currentAlgorithm][paramId] = value;
+    
     switch(paramId) {
         case 'k-clusters':
             if (algo === KMeans) {
@@ -231,19 +377,242 @@ function onParameterChange(paramId, value) {
                 initializeCurrentAlgorithm();
             }
             break;
+        case 'kmeans-init':
+            if (algo === KMeans) {
+                KMeans.initMethod = value;
+                KMeans.analysis = null;
+                resetAlgorithm();
+            }
+            break;
+        case 'n-init':
+            if (algo === KMeans) {
+                KMeans.nInit = parseInt(value);
+                resetAlgorithm();
+            }
+            break;
+        case 'kmeans-restart':
+            if (algo === KMeans) {
+                KMeans.selectRestart(value);
+            }
+            break;
+        case 'max-iterations':
+            if (algo === KMeans) {
+                KMeans.maxIterations = parseInt(value);
+                resetAlgorithm();
+            }
+            break;
+        case 'kmeans-mode':
+            if (algo === KMeans) {
+                KMeans.mode = value;
+                resetAlgorithm();
+            }
+            break;
+        case 'batch-size':
+            if (algo === KMeans) {
+                KMeans.batchSize = parseInt(value);
+                resetAlgorithm();
+            }
+            break;
+        case 'compare-modes':
+            if (algo === KMeans) {
+                KMeans.compareModes();
+            }
+            break;
+        case 'kmeans-empty':
+            if (algo === KMeans) {
+                KMeans.emptyStrategy = value;
+                KMeans.analysis = null;
+                resetAlgorithm();
+            }
+            break;
+        case 'kmeans-metric':
+            if (algo === KMeans) {
+                KMeans.metric = value;
+                KMeans.analysis = null;
+                resetAlgorithm();
+            }
+            break;
+        case 'kmeans-center':
+            if (algo === KMeans) {
+                KMeans.centerRule = value;
+                KMeans.analysis = null;
+                resetAlgorithm();
+            }
+            break;
+        case 'show-contours':
+            if (algo === KMeans) {
+                KMeans.showContours = value;
+            }
+            break;
+        case 'show-voronoi':
+            if (algo === KMeans) {
+                KMeans.showVoronoi = value;
+            }
+            break;
+        case 'analyze-k':
+            if (algo === KMeans) {
+                KMeans.analyzeK();
+            }
+            break;
+        case 'gmm-components':
+            if (algo === GMM) {
+                GMM.k = parseInt(value);
+                initializeCurrentAlgorithm();
+            }
+            break;
+        case 'linkage':
+            if (algo === Agglomerative) {
+                Agglomerative.linkage = value;
+                Agglomerative.cutHeight = null;
+                resetAlgorithm();
+            }
+            break;
+        case 'cut-height':
+            if (algo === Agglomerative) {
+                Agglomerative.cutHeight = parseFloat(value);
+            }
+            break;
+        case 'eps':
+            if (algo === DBSCAN) {
+                DBSCAN.eps = parseFloat(value);
+                resetAlgorithm();
+            }
+            break;
+        case 'min-pts':
+            if (algo === DBSCAN) {
+                DBSCAN.minPts = parseInt(value);
+                resetAlgorithm();
+            }
+            break;
         case 'max-depth':
             if (algo === DecisionTree) {
                 DecisionTree.maxDepth = parseInt(value);
             }
             break;
+        case 'growth-order':
+            if (algo === DecisionTree) {
+                DecisionTree.growthOrder = value;
+                resetAlgorithm();
+            }
+            break;
+        case 'split-criterion':
+            if (algo === DecisionTree) {
+                DecisionTree.criterion = value;
+                updateExplanation();
+                resetAlgorithm();
+            }
+            break;
         case 'learning-rate':
             if (algo === LinearRegression) {
                 LinearRegression.learningRate = parseFloat(value);
             }
             break;
+        case 'poly-degree':
+            if (algo === LinearRegression) {
+                LinearRegression.degree = parseInt(value);
+                resetAlgorithm();
+            }
+            break;
+        case 'penalty':
+            if (algo === LinearRegression) {
+                LinearRegression.penalty = value;
+                LinearRegression.buildDegreeReport();
+                resetAlgorithm();
+            }
+            break;
+        case 'lambda':
+            if (algo === LinearRegression) {
+                LinearRegression.lambda = Math.pow(10, parseFloat(value));
+                LinearRegression.refit();
+            }
+            break;
+        case 'regression-method':
+            if (algo === LinearRegression) {
+                LinearRegression.method = value;
+                resetAlgorithm();
+            }
+            break;
+        case 'gd-updates':
+            if (algo === LinearRegression) {
+                LinearRegression.updatesPerStep = parseInt(value);
+            }
+            break;
+        case 'gd-max-iterations':
+            if (algo === LinearRegression) {
+                LinearRegression.maxIterations = parseInt(value);
+            }
+            break;
+        case 'robust-threshold':
+            if (algo === LinearRegression) {
+                LinearRegression.robustThreshold = parseFloat(value);
+            }
+            break;
+        case 'ransac-trials':
+            if (algo === LinearRegression) {
+                LinearRegression.ransacTrials = parseInt(value);
+            }
+            break;
+        case 'show-ols':
+            if (algo === LinearRegression) {
+                LinearRegression.showOLS = value;
+            }
+            break;
+        case 'show-intervals':
+            if (algo === LinearRegression) {
+                LinearRegression.showIntervals = value;
+            }
+            break;
+        case 'show-residuals':
+            if (algo === LinearRegression) {
+                LinearRegression.showResiduals = value;
+            }
+            break;
+        case 'logistic-learning-rate':
+            if (algo === LogisticRegression) {
+                LogisticRegression.learningRate = parseFloat(value);
+            }
+            break;
+        case 'logistic-iterations':
+            if (algo === LogisticRegression) {
+                LogisticRegression.maxIterations = parseInt(value);
+            }
+            break;
+        case 'l2-strength':
+            if (algo === LogisticRegression) {
+                LogisticRegression.l2 = parseFloat(value);
+                LogisticRegression.evaluate();
+            }
+            break;
     }
     
+    // A parameter that changed the state rewrites the shown frame
+    Timeline.replaceCurrent(algo);
+    updateTimeline();
+    
     visualize();
+    updateStats();
+}
+
+/**
+ * Set a parameter from code (e.g. a chart click), keeping its input in sync
+ */
+function setParameter(paramId, value) {
+    const input = document.getElementById(paramId);
+    
+    if (input) {
+        if (input.type === 'checkbox') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        
+        const valueDisplay = document.getElementById(`${paramId}-value`);
+        if (valueDisplay) {
+            valueDisplay.textContent = input.value;
+        }
+    }
+    
+    onParameterChange(paramId, value);
 }
 
 /**
@@ -254,6 +623,7 @@ function loadDataset(name) {
         App.dataPoints = [];
         App.elements.canvasOverlay.classList.remove('hidden');
     } else {
+        Random.reseed();
         App.dataPoints = Datasets.get(name);
         App.elements.canvasOverlay.classList.add('hidden');
     }
@@ -269,7 +639,12 @@ function loadDataset(name) {
  * Generate random data
  */
 function generateRandomData() {
-    const pattern = App.currentAlgorithm === 'k-means' ? 'clusters' : 'linear';
+    const patterns = { 'k-means': 'clusters', 'gmm': 'clusters', 'agglomerative': 'clusters', 'dbscan': 'moons',
+                       'decision-tree': 'clusters' };
+    const pattern = patterns[App.currentAlgorithm] || 'linear';
+    
+    // Same seed, same dataset
+    Random.reseed();
     App.dataPoints = Datasets.generateRandom(20, 700, 500, pattern);
     App.elements.canvasOverlay.classList.add('hidden');
     
@@ -293,15 +668,22 @@ function clearData() {
  * Add a point on canvas click
  */
 function addPoint(x, y) {
-    // For decision tree, alternate labels
-    const label = App.currentAlgorithm === 'decision-tree' 
-        ? App.dataPoints.length % 2 
+    // Classifiers label the point with the class chosen in the picker
+    const label = App.algorithms[App.currentAlgorithm].usesLabels
+        ? App.currentClass
         : undefined;
     
+    // A finished regression stays fitted so its diagnostics update live
+    const refit = App.currentAlgorithm === 'linear-regression' && LinearRegression.residuals.length > 0;
+    
     App.dataPoints.push({ x, y, label });
     App.elements.canvasOverlay.classList.add('hidden');
     
     initializeCurrentAlgorithm();
+    if (refit) {
+        LinearRegression.run();
+        Timeline.replaceCurrent(LinearRegression);
+    }
     visualize();
     updateStats();
     
@@ -313,19 +695,45 @@ function addPoint(x, y) {
  */
 function initializeCurrentAlgorithm() {
     const algo = App.algorithms[App.currentAlgorithm];
+    pausePlayback();
+    
+    // Every fresh run replays the same random sequence
+    Random.reseed();
+    
+    // Slower algorithms only get the first points of a large dataset
+    const limit = algo.maxPoints || App.maxPoints;
+    const points = App.dataPoints.length > limit ? App.dataPoints.slice(0, limit) : App.dataPoints;
+    if (points !== App.dataPoints) {
+        console.warn(`Using the first ${limit} of ${App.dataPoints.length} points for ${App.currentAlgorithm}`);
+    }
     
     switch(App.currentAlgorithm) {
         case 'linear-regression':
-            algo.init(App.dataPoints);
+            algo.init(points);
             break;
         case 'k-means':
             const k = parseInt(document.getElementById('k-clusters')?.value || 3);
-            algo.init(App.dataPoints, k);
+            algo.init(points, k);
+            break;
+        case 'logistic-regression':
+            algo.init(points);
+            break;
+        case 'gmm':
+            algo.init(points, parseInt(document.getElementById('gmm-components')?.value || 3));
+            break;
+        case 'agglomerative':
+            algo.init(points);
+            break;
+        case 'dbscan':
+            algo.init(points);
             break;
         case 'decision-tree':
-            algo.init(App.dataPoints);
+            algo.init(points);
             break;
     }
+    
+    Timeline.start(algo, readyStepInfo());
+    updateTimeline();
 }
 
 /**
@@ -337,51 +745,202 @@ function runAlgorithm() {
         return;
     }
     
+    pausePlayback();
+    
     const algo = App.algorithms[App.currentAlgorithm];
     const result = algo.run();
+    const stepInfo = {
+        step: 'Complete',
+        title: 'Algorithm Finished',
+        description: 'View the results and statistics below.',
+        highlight: 'complete'
+    };
+    Timeline.record(algo, stepInfo);
     
     visualize();
     updateStats();
-    updateStepInfo({
-        step: 'Complete',
-        title: 'Algorithm Finished',
-        description: 'View the results and statistics below.'
-    });
+    updateStepInfo(stepInfo);
+    updateTimeline();
     
     console.log('Algorithm result:', result);
 }
 
 /**
  * Step through algorithm
+ * @param {function} onDone - Called once the move to the new step has been animated
  */
-function stepAlgorithm() {
+function stepAlgorithm(onDone) {
     if (App.dataPoints.length < 2) {
         alert('Please add at least 2 data points first!');
         return;
     }
     
     const algo = App.algorithms[App.currentAlgorithm];
+    const previous = Timeline.index;
     const stepInfo = algo.step();
+    Timeline.record(algo, stepInfo);
     
-    visualize();
     updateStats();
     updateStepInfo(stepInfo);
+    updateTimeline();
+    animateFrames(previous, Timeline.index, onDone);
+}
+
+/**
+ * Go back one step by restoring the previous recorded state
+ */
+function stepBackAlgorithm() {
+    pausePlayback();
+    if (Timeline.index <= 0) return;
+    
+    showFrame(Timeline.index - 1, () => {});
+}
+
+/**
+ * Text shown before the algorithm has started
+ */
+function readyStepInfo() {
+    return {
+        step: 0,
+        title: 'Ready',
+        description: 'Click "Run" or "Step Forward" to begin.'
+    };
+}
+
+/**
+ * Show a recorded frame of the timeline
+ * @param {number} index - Frame index
+ * @param {function} onDone - If given, animate the move and call this afterwards
+ */
+function showFrame(index, onDone) {
+    const algo = App.algorithms[App.currentAlgorithm];
+    const previous = Timeline.index;
+    const frame = Timeline.restore(algo, index);
+    if (!frame) return;
+    
+    updateStats();
+    updateStepInfo(frame.stepInfo);
+    updateTimeline();
+    
+    if (onDone) {
+        animateFrames(previous, index, onDone);
+    } else {
+        visualize();
+    }
+}
+
+/**
+ * Tween the canvas between two frames, then draw the final state
+ * @param {number} fromIndex - Frame to animate from
+ * @param {number} toIndex - Frame to animate to
+ * @param {function} onDone - Called after the animation (optional)
+ */
+function animateFrames(fromIndex, toIndex, onDone) {
+    const algo = App.algorithms[App.currentAlgorithm];
+    
+    Timeline.transition(algo, fromIndex, toIndex, frameDuration() * 0.7,
+        view => view.visualize(Visualization),
+        () => {
+            visualize();
+            if (onDone) onDone();
+        }
+    );
+}
+
+/**
+ * Time per frame during playback, from the speed slider (1 = slow, 10 = fast)
+ * @returns {number} Milliseconds
+ */
+function frameDuration() {
+    return 1500 / App.animationSpeed;
+}
+
+/**
+ * Start or pause playback
+ */
+function togglePlayback() {
+    if (App.isRunning) {
+        pausePlayback();
+        return;
+    }
+    
+    if (App.dataPoints.length < 2) {
+        alert('Please add at least 2 data points first!');
+        return;
+    }
+    
+    // Replay from the start when sitting on the last, finished frame
+    if (Timeline.isComplete() && Timeline.index === Timeline.frames.length - 1 && Timeline.index > 0) {
+        showFrame(0);
+    }
+    
+    App.isRunning = true;
+    updateTimeline();
+    playNextFrame();
+}
+
+/**
+ * Advance playback by one frame: replay a recorded frame if there is one,
+ * otherwise step the algorithm. Stops when the algorithm is complete.
+ */
+function playNextFrame() {
+    if (!App.isRunning) return;
+    
+    const hold = () => {
+        App.playbackTimer = setTimeout(playNextFrame, frameDuration() * 0.3);
+    };
+    
+    if (Timeline.index < Timeline.frames.length - 1) {
+        showFrame(Timeline.index + 1, hold);
+    } else if (!Timeline.isComplete()) {
+        stepAlgorithm(hold);
+    } else {
+        pausePlayback();
+    }
+}
+
+/**
+ * Stop playback, leaving the current frame shown
+ */
+function pausePlayback() {
+    if (!App.isRunning) return;
+    
+    App.isRunning = false;
+    clearTimeout(App.playbackTimer);
+    App.playbackTimer = null;
+    updateTimeline();
+}
+
+/**
+ * Sync the play button and scrubber with the timeline
+ */
+function updateTimeline() {
+    const last = Math.max(0, Timeline.frames.length - 1);
+    const frame = Timeline.frames[Timeline.index];
+    
+    App.elements.timelineSlider.max = last;
+    App.elements.timelineSlider.value = Math.max(0, Timeline.index);
+    App.elements.timelineLabel.textContent = `${Math.max(0, Timeline.index)} / ${last}` +
+        (frame ? ` · ${frame.stepInfo.title}` : '');
+    App.elements.playBtn.textContent = App.isRunning ? '⏸ Pause' : '▶ Play';
+    App.elements.stepBackBtn.disabled = Timeline.index <= 0;
 }
 
 /**
  * Reset algorithm
  */
 function resetAlgorithm() {
+    pausePlayback();
+    
     const algo = App.algorithms[App.currentAlgorithm];
     algo.reset();
+    Random.reseed();
+    Timeline.start(algo, readyStepInfo());
     
     visualize();
     updateStats();
-    updateStepInfo({
-        step: 0,
-        title: 'Ready',
-        description: 'Click "Run" or "Step Forward" to begin.'
-    });
+    updateStepInfo(readyStepInfo());
+    updateTimeline();
 }
 
 /**
@@ -398,6 +957,13 @@ function visualize() {
         Visualization.drawGrid();
         Visualization.drawPoints(App.dataPoints);
     }
+    
+    // Auxiliary charts (loss surfaces, diagnostics, ...)
+    Charts.begin();
+    if (typeof algo.drawCharts === 'function') {
+        algo.drawCharts(Charts);
+    }
+    Charts.end();
 }
 
 /**
@@ -0,0 +1,73 @@
+/**
+ * random.js
+ * Seedable pseudo-random number generator (mulberry32)
+ * Every algorithm and dataset generator draws from here instead of Math.random(),
+ * so the same seed and dataset always give the same run.
+ */
+
+const Random = {
+    seed: 42,
+    state: 42,
+
+    /**
+     * Set the seed and restart the sequence
+     * @param {number} seed - Any integer
+     */
+    setSeed: function(seed) {
+        this.seed = (parseInt(seed) || 0) >>> 0;
+        this.state = this.seed;
+    },
+
+    /**
+     * Restart the sequence from the current seed
+     */
+    reseed: function() {
+        this.state = this.seed;
+    },
+
+    /**
+     * Next number in [0, 1)
+     */
+    next: function() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+
+    /**
+     * Random integer in [0, n)
+     * @param {number} n - Upper bound (exclusive)
+     */
+    int: function(n) {
+        return Math.floor(this.next() * n);
+    },
+
+    /**
+     * Random number in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     */
+    range: function(min, max) {
+        return min + this.next() * (max - min);
+    },
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array
+     */
+    shuffle: function(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+};
+
+// Make globally available
+window.Random = Random;
+
+console.log('🎲 Random module loaded');
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * statistics.js
+ * Probability distributions used for inference
+ * (Student's t for confidence intervals and p-values, normal quantiles for Q-Q plots)
+ */
+
+const Statistics = {
+    /**
+     * Natural log of the gamma function (Lanczos approximation)
+     * @param {number} x - Positive number
+     */
+    logGamma: function(x) {
+        const coefficients = [
+            76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+        ];
+        
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(c => {
+            y += 1;
+            series += c / y;
+        });
+        
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    },
+
+    /**
+     * Regularized incomplete beta function I_x(a, b)
+     * Evaluated with a continued fraction (modified Lentz's method)
+     */
+    incompleteBeta: function(x, a, b) {
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+        
+        // The continued fraction converges fastest for x < (a + 1) / (a + b + 2)
+        if (x > (a + 1) / (a + b + 2)) {
+            return 1 - this.incompleteBeta(1 - x, b, a);
+        }
+        
+        const front = Math.exp(
+            this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x)
+        ) / a;
+        
+        const tiny = 1e-30;
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        if (Math.abs(d) < tiny) d = tiny;
+        d = 1 / d;
+        let result = d;
+        
+        for (let m = 1; m <= 200; m++) {
+            // Even step
+            let numerator = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+            d = 1 + numerator * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + numerator / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            result *= d * c;
+            
+            // Odd step
+            numerator = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+            d = 1 + numerator * d;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = 1 + numerator / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            result *= delta;
+            
+            if (Math.abs(delta - 1) < 1e-12) break;
+        }
+        
+        return front * result;
+    },
+
+    /**
+     * Two-sided p-value of a t statistic: P(|T| ≥ |t|) with df degrees of freedom
+     */
+    tPValue: function(t, df) {
+        if (!isFinite(t)) return 0;
+        return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+    },
+
+    /**
+     * Critical value t* with P(|T| ≥ t*) = alpha (e.g. alpha = 0.05 for 95%)
+     * Found by bisection on tPValue, which falls steadily as t grows
+     */
+    tCritical: function(alpha, df) {
+        let low = 0;
+        let high = 1000;
+        
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (this.tPValue(mid, df) > alpha) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        
+        return (low + high) / 2;
+    },
+
+    /**
+     * Standard normal quantile Φ⁻¹(p) (Acklam's rational approximation, ~1e-9 relative error)
+     * @param {number} p - Probability in (0, 1)
+     */
+    normalQuantile: function(p) {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+        
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+                   1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+                   6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+                   -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+                   3.754408661907416e+00];
+        const tail = 0.02425;
+        
+        // Lower tail, central region and upper tail use different fits
+        if (p < tail) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                   ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - tail) {
+            return -this.normalQuantile(1 - p);
+        }
+        
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+               (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    },
+
+    /**
+     * Format a p-value for display
+     */
+    formatPValue: function(p) {
+        return p < 0.0001 ? '< 0.0001' : p.toFixed(4);
+    }
+};
+
+// Make globally available
+window.Statistics = Statistics;
+
+console.log('🧮 Statistics module loaded');
\ No newline at end of file
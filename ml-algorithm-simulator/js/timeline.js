@@ -0,0 +1,189 @@
+/**
+ * timeline.js
+ * Recorded history of algorithm states for scrubbing and animated playback
+ * Each algorithm lists the fields that make up its state in `stateKeys`
+ * and the ones that can be smoothly interpolated in `tweenKeys`.
+ */
+
+const Timeline = {
+    frames: [],              // [{state, random, stepInfo}]
+    index: -1,               // Frame currently shown
+    animation: null,         // requestAnimationFrame id of the running transition
+
+    /**
+     * Copy the state fields of an algorithm
+     * @param {object} algo - Algorithm module
+     * @returns {object} Deep copy of its state
+     */
+    snapshot: function(algo) {
+        const state = {};
+        (algo.stateKeys || []).forEach(key => {
+            state[key] = structuredClone(algo[key]);
+        });
+        return state;
+    },
+
+    /**
+     * Start a new history with the algorithm's current state as frame 0
+     * @param {object} algo - Algorithm module
+     * @param {object} stepInfo - Step text for the first frame
+     */
+    start: function(algo, stepInfo) {
+        this.frames = [];
+        this.index = -1;
+        this.record(algo, stepInfo);
+    },
+
+    /**
+     * Record the algorithm's current state after the shown frame.
+     * Frames after the shown one are dropped: history branches from here.
+     * @param {object} algo - Algorithm module
+     * @param {object} stepInfo - Step text for this frame
+     */
+    record: function(algo, stepInfo) {
+        this.cancel();
+        this.frames = this.frames.slice(0, this.index + 1);
+        
+        // Stepping past the end doesn't pile up identical "complete" frames
+        const last = this.frames[this.frames.length - 1];
+        if (last && last.stepInfo.highlight === 'complete' && stepInfo.highlight === 'complete') {
+            this.frames.pop();
+        }
+        
+        this.frames.push({
+            state: this.snapshot(algo),
+            random: Random.state,
+            stepInfo: stepInfo
+        });
+        this.index = this.frames.length - 1;
+    },
+
+    /**
+     * Re-record the shown frame after a parameter change altered the state.
+     * Later frames no longer follow from it, so they are dropped.
+     * @param {object} algo - Algorithm module
+     */
+    replaceCurrent: function(algo) {
+        const frame = this.frames[this.index];
+        if (!frame) return;
+        
+        const state = this.snapshot(algo);
+        if (JSON.stringify(state) === JSON.stringify(frame.state)) return;
+        
+        frame.state = state;
+        frame.random = Random.state;
+        this.frames = this.frames.slice(0, this.index + 1);
+    },
+
+    /**
+     * Restore the algorithm (and the random sequence) to a recorded frame
+     * @param {object} algo - Algorithm module
+     * @param {number} index - Frame index
+     * @returns {object} The frame
+     */
+    restore: function(algo, index) {
+        const frame = this.frames[index];
+        if (!frame) return null;
+        
+        this.cancel();
+        for (const key in frame.state) {
+            algo[key] = structuredClone(frame.state[key]);
+        }
+        Random.state = frame.random;
+        this.index = index;
+        
+        return frame;
+    },
+
+    /**
+     * Whether the shown frame is the algorithm's final state
+     */
+    isComplete: function() {
+        const frame = this.frames[this.index];
+        return !!frame && frame.stepInfo.highlight === 'complete';
+    },
+
+    /**
+     * Interpolate between two values of the same shape (numbers, arrays, {x, y} objects)
+     * Anything that doesn't line up jumps straight to the target.
+     * @param {*} from - Start value
+     * @param {*} to - End value
+     * @param {number} t - Progress from 0 to 1
+     */
+    interpolate: function(from, to, t) {
+        if (typeof from === 'number' && typeof to === 'number') {
+            return isFinite(from) && isFinite(to) ? from + (to - from) * t : to;
+        }
+        if (Array.isArray(from) && Array.isArray(to)) {
+            return from.length === to.length
+                ? to.map((value, i) => this.interpolate(from[i], value, t))
+                : to;
+        }
+        if (from && to && typeof from === 'object' && typeof to === 'object') {
+            const result = { ...to };
+            for (const key in to) {
+                if (key in from) result[key] = this.interpolate(from[key], to[key], t);
+            }
+            return result;
+        }
+        return to;
+    },
+
+    /**
+     * Animate from one frame to another. The algorithm itself is not touched:
+     * each animation frame draws a view whose tweenKeys are interpolated.
+     * @param {object} algo - Algorithm module (already in the target state)
+     * @param {number} fromIndex - Frame to animate from
+     * @param {number} toIndex - Frame to animate to
+     * @param {number} duration - Length in milliseconds
+     * @param {function} draw - Called with the view to render
+     * @param {function} done - Called when the animation ends
+     */
+    transition: function(algo, fromIndex, toIndex, duration, draw, done) {
+        this.cancel();
+        
+        const from = this.frames[fromIndex];
+        const to = this.frames[toIndex];
+        const keys = algo.tweenKeys || [];
+        if (!from || !to || fromIndex === toIndex || keys.length === 0 || duration <= 0) {
+            done();
+            return;
+        }
+        
+        const startTime = performance.now();
+        const tick = (now) => {
+            const t = Math.min(1, (now - startTime) / duration);
+            if (t >= 1) {
+                this.animation = null;
+                done();
+                return;
+            }
+            
+            // Ease in-out so moves start and stop gently
+            const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+            const view = Object.create(algo);
+            keys.forEach(key => {
+                view[key] = this.interpolate(from.state[key], to.state[key], eased);
+            });
+            draw(view);
+            
+            this.animation = requestAnimationFrame(tick);
+        };
+        this.animation = requestAnimationFrame(tick);
+    },
+
+    /**
+     * Stop a running transition
+     */
+    cancel: function() {
+        if (this.animation !== null) {
+            cancelAnimationFrame(this.animation);
+            this.animation = null;
+        }
+    }
+};
+
+// Make globally available
+window.Timeline = Timeline;
+
+console.log('🎞️ Timeline module loaded');
\ No newline at end of file
@@ -14,7 +14,8 @@ const Visualization = {
         point: '#4f46e5',           // Primary purple
         pointHover: '#818cf8',       // Light purple
         line: '#ef4444',             // Red for regression line
-        cluster: ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6'], // Cluster colors
+        cluster: ['#ef4444', '#3b82f6', '#10b981', '#f59e0b', '#8b5cf6',
+                  '#ec4899', '#14b8a6', '#f97316'], // Cluster colors
         centroid: '#1e293b',         // Dark for centroids
         grid: '#e2e8f0',             // Grid lines
         text: '#64748b',             // Text color
@@ -161,6 +162,184 @@ const Visualization = {
         this.drawLine(x1, y1, x2, y2, color, 3);
     },
 
+    /**
+     * Draw a curve y = fn(x) across the canvas
+     * @param {function} fn - Function of x returning y
+     * @param {string} color - Curve color
+     * @param {number} width - Line width
+     */
+    drawCurve: function(fn, color = this.colors.line, width = 3) {
+        const ctx = this.ctx;
+        
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.setLineDash([]);
+        
+        for (let x = 0; x <= this.width; x += 2) {
+            // Keep wild high-degree fits from drawing off to infinity
+            const y = Math.max(-this.height, Math.min(2 * this.height, fn(x)));
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        
+        ctx.stroke();
+    },
+
+    /**
+     * Shade the region between two curves across the canvas
+     * @param {function} lowerFn - Function of x returning the lower y
+     * @param {function} upperFn - Function of x returning the upper y
+     * @param {string} color - Fill color
+     * @param {number} alpha - Opacity
+     */
+    drawBand: function(lowerFn, upperFn, color, alpha = 0.2) {
+        const ctx = this.ctx;
+        const clamp = y => Math.max(-this.height, Math.min(2 * this.height, y));
+        
+        ctx.beginPath();
+        for (let x = 0; x <= this.width; x += 4) {
+            if (x === 0) {
+                ctx.moveTo(x, clamp(lowerFn(x)));
+            } else {
+                ctx.lineTo(x, clamp(lowerFn(x)));
+            }
+        }
+        for (let x = this.width; x >= 0; x -= 4) {
+            ctx.lineTo(x, clamp(upperFn(x)));
+        }
+        ctx.closePath();
+        
+        ctx.fillStyle = color;
+        ctx.globalAlpha = alpha;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    },
+
+    /**
+     * Fill the whole canvas with a color field (e.g. class probabilities)
+     * @param {function} colorFn - (x, y) => [r, g, b]
+     * @param {number} cellSize - Size of each evaluated block in pixels
+     */
+    drawField: function(colorFn, cellSize = 4) {
+        const image = this.ctx.createImageData(this.width, this.height);
+        
+        for (let cy = 0; cy < this.height; cy += cellSize) {
+            for (let cx = 0; cx < this.width; cx += cellSize) {
+                const [r, g, b] = colorFn(cx + cellSize / 2, cy + cellSize / 2);
+                
+                for (let y = cy; y < Math.min(cy + cellSize, this.height); y++) {
+                    for (let x = cx; x < Math.min(cx + cellSize, this.width); x++) {
+                        const offset = (y * this.width + x) * 4;
+                        image.data[offset] = r;
+                        image.data[offset + 1] = g;
+                        image.data[offset + 2] = b;
+                        image.data[offset + 3] = 255;
+                    }
+                }
+            }
+        }
+        
+        this.ctx.putImageData(image, 0, 0);
+    },
+
+    /**
+     * Draw a circle outline, optionally filled with a translucent tint
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radius - Radius
+     * @param {string} color - Stroke color
+     * @param {boolean} dashed - Dashed outline
+     * @param {number} fillAlpha - Opacity of the fill (0 = no fill)
+     */
+    drawCircle: function(x, y, radius, color, dashed = false, fillAlpha = 0) {
+        const ctx = this.ctx;
+        
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        
+        if (fillAlpha > 0) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = fillAlpha;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dashed ? [6, 4] : []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    },
+
+    /**
+     * Draw a closed polygon (a single point or a pair is drawn as a dot or a line)
+     * @param {Array} vertices - {x, y} corners in order
+     * @param {string} color - Stroke color
+     * @param {number} fillAlpha - Fill opacity (0 = no fill)
+     * @param {boolean} dashed - Dashed outline
+     */
+    drawPolygon: function(vertices, color, fillAlpha = 0, dashed = false) {
+        if (vertices.length === 0) return;
+        const ctx = this.ctx;
+        
+        ctx.beginPath();
+        if (vertices.length === 1) {
+            ctx.arc(vertices[0].x, vertices[0].y, 10, 0, Math.PI * 2);
+        } else {
+            ctx.moveTo(vertices[0].x, vertices[0].y);
+            vertices.slice(1).forEach(v => ctx.lineTo(v.x, v.y));
+            ctx.closePath();
+        }
+        
+        if (fillAlpha > 0) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = fillAlpha;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dashed ? [6, 4] : []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    },
+
+    /**
+     * Draw a rotated ellipse
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} radiusX - Radius along the ellipse's own x axis
+     * @param {number} radiusY - Radius along the ellipse's own y axis
+     * @param {number} angle - Rotation in radians
+     * @param {string} color - Stroke color
+     * @param {boolean} dashed - Dashed outline
+     * @param {number} fillAlpha - Fill opacity (0 = no fill)
+     */
+    drawEllipse: function(x, y, radiusX, radiusY, angle, color, dashed = false, fillAlpha = 0) {
+        const ctx = this.ctx;
+        
+        ctx.beginPath();
+        ctx.ellipse(x, y, Math.max(radiusX, 0.5), Math.max(radiusY, 0.5), angle, 0, Math.PI * 2);
+        
+        if (fillAlpha > 0) {
+            ctx.fillStyle = color;
+            ctx.globalAlpha = fillAlpha;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+        
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(dashed ? [6, 4] : []);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    },
+
     /**
      * Draw centroid (larger point with special styling)
      * @param {number} x - X coordinate
@@ -276,6 +455,35 @@ const Visualization = {
         animate();
     },
 
+    /**
+     * Draw many points as small squares, one path per color, for datasets
+     * too large to draw point by point
+     * @param {Float64Array} xs - X coordinates
+     * @param {Float64Array} ys - Y coordinates
+     * @param {Int32Array} groups - Color index of each point (-1 for none)
+     * @param {Array} colors - Colors by group index
+     * @param {string} fallback - Color for points without a group
+     * @param {number} size - Square side in pixels
+     */
+    drawPointCloud: function(xs, ys, groups, colors, fallback = this.colors.point, size = 2) {
+        const ctx = this.ctx;
+        
+        // Bucket points by color so each color is a single path and a single fill
+        const buckets = new Map();
+        for (let i = 0; i < xs.length; i++) {
+            const color = groups[i] >= 0 ? colors[groups[i] % colors.length] : fallback;
+            if (!buckets.has(color)) buckets.set(color, []);
+            buckets.get(color).push(i);
+        }
+        
+        buckets.forEach((indices, color) => {
+            ctx.beginPath();
+            indices.forEach(i => ctx.rect(xs[i] - size / 2, ys[i] - size / 2, size, size));
+            ctx.fillStyle = color;
+            ctx.fill();
+        });
+    },
+
     /**
      * Draw cluster connections (lines from points to centroids)
      * @param {Array} points - Data points
@@ -310,44 +518,6 @@ const Visualization = {
         } else {
             this.drawLine(bounds.minX, value, bounds.maxX, value, color, 2, true);
         }
-    },
-
-    /**
-     * Draw tree node visualization
-     * @param {object} node - Tree node
-     * @param {number} x - X position
-     * @param {number} y - Y position
-     * @param {number} level - Tree level
-     */
-    drawTreeNode: function(node, x, y, level) {
-        const ctx = this.ctx;
-        const nodeRadius = 25;
-        
-        // Draw node circle
-        ctx.beginPath();
-        ctx.arc(x, y, nodeRadius, 0, Math.PI * 2);
-        ctx.fillStyle = node.isLeaf ? '#10b981' : '#4f46e5';
-        ctx.fill();
-        ctx.strokeStyle = '#1e293b';
-        ctx.lineWidth = 2;
-        ctx.stroke();
-        
-        // Draw label
-        ctx.fillStyle = 'white';
-        ctx.font = 'bold 12px Poppins';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        
-        if (node.isLeaf) {
-            ctx.fillText(`Class ${node.label}`, x, y);
-        } else {
-            ctx.fillText(`${node.feature}`, x, y - 8);
-            ctx.font = '10px Poppins';
-            ctx.fillText(`< ${node.threshold.toFixed(0)}`, x, y + 8);
-        }
-        
-        ctx.textAlign = 'left';
-        ctx.textBaseline = 'alphabetic';
     }
 };
 